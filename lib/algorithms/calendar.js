@@ -0,0 +1,88 @@
+'use strict';
+
+const calendar = require('../calendar');
+
+/**
+ * Calendar quota.
+ *
+ * The bucket holds `size` tokens and is refilled entirely when a new
+ * calendar `period` (day, week or month) starts in the type `timezone`.
+ *
+ * Stored as { content, period } where period is the start timestamp of
+ * the calendar period of the last take.
+ */
+function periodEnd(type) {
+  return calendar.end(Date.now(), type.period, type.timezone);
+}
+
+module.exports = {
+  requiresPeriod: true,
+
+  ttl(type) {
+    return () => periodEnd(type) - Date.now();
+  },
+
+  create(type) {
+    return {
+      content: type.size,
+      period:  calendar.start(Date.now(), type.period, type.timezone)
+    };
+  },
+
+  drip(bucket, type) {
+    const period = calendar.start(Date.now(), type.period, type.timezone);
+
+    if (bucket.period !== period) {
+      return this.create(type);
+    }
+
+    return {
+      content: Math.min(bucket.content, type.size),
+      period
+    };
+  },
+
+  take(bucket, type, count) {
+    if (bucket.content < count) {
+      return false;
+    }
+    bucket.content -= count;
+    return true;
+  },
+
+  put(bucket, type, count) {
+    if (!bucket) {
+      return;
+    }
+
+    bucket = this.drip(bucket, type);
+    bucket.content = Math.min(type.size, bucket.content + count);
+
+    return bucket;
+  },
+
+  remaining(bucket) {
+    return bucket.content;
+  },
+
+  reset(bucket, type) {
+    const full = bucket.content < type.size ? periodEnd(type) : Date.now();
+    return Math.ceil(full / 1000);
+  },
+
+  delay(bucket, type, count) {
+    if (count > type.size) {
+      return Infinity;
+    }
+
+    if (bucket.content >= count) {
+      return 0;
+    }
+
+    return periodEnd(type) - Date.now();
+  },
+
+  isFull(bucket, type) {
+    return this.drip(bucket, type).content >= type.size;
+  }
+};
@@ -0,0 +1,140 @@
+'use strict';
+
+const crypto = require('crypto');
+const ms     = require('ms');
+
+const DEFAULT_LEASE_TTL = ms('1m');
+
+/**
+ * Concurrency limiter.
+ *
+ * Allows at most `size` tokens in use at the same time. Every conformant
+ * take acquires a lease that is freed with `release` or automatically after
+ * `lease_ttl` milliseconds, so holders that crash don't keep the slot forever.
+ *
+ * Stored as { leases: { [id]: { expires, count } } }.
+ */
+function leaseTTL(type) {
+  return type.lease_ttl || DEFAULT_LEASE_TTL;
+}
+
+function used(bucket) {
+  return Object.keys(bucket.leases)
+               .reduce((sum, id) => sum + bucket.leases[id].count, 0);
+}
+
+function byExpiration(bucket) {
+  return Object.keys(bucket.leases)
+               .map(id => Object.assign({ id }, bucket.leases[id]))
+               .sort((a, b) => a.expires - b.expires);
+}
+
+module.exports = {
+  ttl(type) {
+    return leaseTTL(type);
+  },
+
+  create() {
+    return { leases: {} };
+  },
+
+  drip(bucket) {
+    const now = Date.now();
+    const leases = {};
+
+    Object.keys(bucket.leases).forEach(id => {
+      if (bucket.leases[id].expires > now) {
+        leases[id] = Object.assign({}, bucket.leases[id]);
+      }
+    });
+
+    return { leases };
+  },
+
+  take(bucket, type, count, result) {
+    if (used(bucket) + count > type.size) {
+      return false;
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+
+    bucket.leases[id] = {
+      expires: Date.now() + leaseTTL(type),
+      count
+    };
+
+    result.lease = id;
+    return true;
+  },
+
+  /**
+   * Frees a lease. Returns true if the lease was active.
+   */
+  release(bucket, lease) {
+    if (!bucket.leases[lease]) {
+      return false;
+    }
+    delete bucket.leases[lease];
+    return true;
+  },
+
+  put(bucket, type, count) {
+    if (!bucket) {
+      return;
+    }
+
+    bucket = this.drip(bucket);
+
+    //free the leases closer to expire first.
+    byExpiration(bucket).forEach(lease => {
+      if (count <= 0) { return; }
+      const freed = Math.min(lease.count, count);
+      count -= freed;
+      if (freed === lease.count) {
+        delete bucket.leases[lease.id];
+      } else {
+        bucket.leases[lease.id].count -= freed;
+      }
+    });
+
+    return bucket;
+  },
+
+  remaining(bucket, type) {
+    return Math.max(type.size - used(bucket), 0);
+  },
+
+  reset(bucket) {
+    const leases = byExpiration(bucket);
+    const full = leases.length > 0 ? leases[leases.length - 1].expires : Date.now();
+    return Math.ceil(full / 1000);
+  },
+
+  delay(bucket, type, count) {
+    if (count > type.size) {
+      return Infinity;
+    }
+
+    var missing = used(bucket) + count - type.size;
+
+    if (missing <= 0) {
+      return 0;
+    }
+
+    const leases = byExpiration(bucket);
+    const now = Date.now();
+
+    for (var i = 0; i < leases.length; i++) {
+      missing -= leases[i].count;
+      if (missing <= 0) {
+        return Math.max(leases[i].expires - now, 0);
+      }
+    }
+
+    return 0;
+  },
+
+  isFull(bucket) {
+    return Object.keys(this.drip(bucket).leases).length === 0;
+  }
+};
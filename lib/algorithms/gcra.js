@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * The Generic Cell Rate Algorithm.
+ *
+ * Every token is emitted every `interval / per_interval` milliseconds and the
+ * bucket tolerates bursts of `size` tokens. Instead of counting tokens it keeps
+ * the theoretical arrival time (TAT) of the next token: the bucket is full when
+ * the TAT is in the past.
+ *
+ * Stored as { tat }.
+ */
+function emissionInterval(type) {
+  return type.interval / type.per_interval;
+}
+
+module.exports = {
+  requiresRate: true,
+  retryAfter: true,
+
+  ttl(type) {
+    return type.size * emissionInterval(type);
+  },
+
+  create() {
+    return { tat: Date.now() };
+  },
+
+  drip(bucket) {
+    return { tat: Math.max(bucket.tat, Date.now()) };
+  },
+
+  take(bucket, type, count) {
+    const T = emissionInterval(type);
+    const tat = bucket.tat + count * T;
+
+    if (tat - Date.now() > type.size * T) {
+      return false;
+    }
+
+    bucket.tat = tat;
+    return true;
+  },
+
+  put(bucket, type, count) {
+    if (!bucket) {
+      return;
+    }
+
+    return {
+      tat: Math.max(bucket.tat - count * emissionInterval(type), Date.now())
+    };
+  },
+
+  remaining(bucket, type) {
+    const T = emissionInterval(type);
+    return Math.max(type.size - (bucket.tat - Date.now()) / T, 0);
+  },
+
+  reset(bucket) {
+    return Math.ceil(bucket.tat / 1000);
+  },
+
+  delay(bucket, type, count) {
+    if (count > type.size) {
+      return Infinity;
+    }
+
+    const T = emissionInterval(type);
+    return Math.max(Math.ceil(bucket.tat + (count - type.size) * T - Date.now()), 0);
+  },
+
+  isFull(bucket) {
+    return bucket.tat <= Date.now();
+  }
+};
@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * Rate limiting algorithms.
+ *
+ * An algorithm is a set of synchronous functions operating on the
+ * bucket stored for a key:
+ *
+ * - `requiresRate` true when the type must define a rate (per_interval and interval).
+ * - `retryAfter` true when non conformant takes report the exact delay in `retryAfter`.
+ * - `requiresPeriod` true when the type must define a calendar period.
+ * - `ttl(type)` the number of milliseconds after which an unused bucket is full again,
+ *   undefined when buckets never refill by themselves or a function when it depends
+ *   on the current time.
+ * - `create(type)` a full bucket.
+ * - `drip(bucket, type)` a copy of the bucket updated to the current time.
+ * - `take(bucket, type, count, result)` takes count tokens from a dripped bucket
+ *   if they are available and returns true when the take is conformant.
+ *   It can add algorithm specific properties to the take result.
+ * - `put(bucket, type, count)` returns the bucket with count tokens put back,
+ *   bucket is undefined when there is nothing stored for the key.
+ * - `remaining(bucket, type)` the number of available tokens.
+ * - `reset(bucket, type)` the unix timestamp when the bucket will be full.
+ * - `delay(bucket, type, count)` milliseconds until count tokens are available.
+ * - `isFull(bucket, type)` true when a stored bucket is equivalent to a new one.
+ * - `release(bucket, lease)` (optional) frees a lease and returns true if it was active.
+ */
+const algorithms = {
+  token_bucket:           require('./token_bucket'),
+  sliding_window_log:     require('./sliding_window_log'),
+  sliding_window_counter: require('./sliding_window_counter'),
+  gcra:                   require('./gcra'),
+  concurrency:            require('./concurrency'),
+  calendar:               require('./calendar')
+};
+
+module.exports = algorithms;
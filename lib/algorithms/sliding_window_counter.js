@@ -0,0 +1,123 @@
+'use strict';
+
+/**
+ * The Sliding Window Counter Algorithm.
+ *
+ * Counts the tokens taken in the current and the previous fixed windows
+ * of `interval` milliseconds and weights the previous window by the
+ * portion of it still covered by the sliding window. At most `size`
+ * tokens are allowed in the sliding window.
+ *
+ * Stored as { window, current, previous } where window is the start
+ * timestamp of the current fixed window.
+ */
+function windowStart(type, now) {
+  return Math.floor(now / type.interval) * type.interval;
+}
+
+function used(bucket, type, now) {
+  const elapsed = (now - bucket.window) / type.interval;
+  return bucket.previous * (1 - elapsed) + bucket.current;
+}
+
+module.exports = {
+  requiresRate: true,
+
+  ttl(type) {
+    return 2 * type.interval;
+  },
+
+  create(type) {
+    return {
+      window: windowStart(type, Date.now()),
+      current: 0,
+      previous: 0
+    };
+  },
+
+  drip(bucket, type) {
+    const start = windowStart(type, Date.now());
+
+    if (bucket.window === start) {
+      return {
+        window: start,
+        current: bucket.current,
+        previous: bucket.previous
+      };
+    }
+
+    return {
+      window: start,
+      current: 0,
+      previous: bucket.window === start - type.interval ? bucket.current : 0
+    };
+  },
+
+  take(bucket, type, count) {
+    if (used(bucket, type, Date.now()) + count > type.size) {
+      return false;
+    }
+    bucket.current += count;
+    return true;
+  },
+
+  put(bucket, type, count) {
+    if (!bucket) {
+      return;
+    }
+
+    bucket = this.drip(bucket, type);
+
+    const fromCurrent = Math.min(bucket.current, count);
+    bucket.current -= fromCurrent;
+    bucket.previous = Math.max(bucket.previous - (count - fromCurrent), 0);
+
+    return bucket;
+  },
+
+  remaining(bucket, type) {
+    return Math.max(type.size - used(bucket, type, Date.now()), 0);
+  },
+
+  reset(bucket, type) {
+    var full = Date.now();
+
+    if (bucket.current > 0) {
+      full = bucket.window + 2 * type.interval;
+    } else if (bucket.previous > 0) {
+      full = bucket.window + type.interval;
+    }
+
+    return Math.ceil(full / 1000);
+  },
+
+  delay(bucket, type, count) {
+    if (count > type.size) {
+      return Infinity;
+    }
+
+    const now = Date.now();
+
+    if (used(bucket, type, now) + count <= type.size) {
+      return 0;
+    }
+
+    //the previous window decays until the end of the current window.
+    const allowedFromPrevious = type.size - count - bucket.current;
+
+    if (allowedFromPrevious >= 0) {
+      const at = bucket.window + type.interval * (1 - allowedFromPrevious / bucket.previous);
+      return Math.max(Math.ceil(at - now), 0);
+    }
+
+    //then the current window becomes the previous one and decays.
+    const next = bucket.window + type.interval;
+    const at = next + type.interval * (1 - (type.size - count) / bucket.current);
+    return Math.max(Math.ceil(at - now), 0);
+  },
+
+  isFull(bucket, type) {
+    const dripped = this.drip(bucket, type);
+    return dripped.current === 0 && dripped.previous === 0;
+  }
+};
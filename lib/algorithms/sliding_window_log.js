@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * The Sliding Window Log Algorithm.
+ *
+ * Keeps the timestamp of every conformant take and allows at most
+ * `size` tokens within any window of `interval` milliseconds.
+ *
+ * Stored as { hits: [[timestamp, count], ...] } sorted by timestamp.
+ */
+function used(bucket) {
+  return bucket.hits.reduce((sum, hit) => sum + hit[1], 0);
+}
+
+module.exports = {
+  requiresRate: true,
+
+  ttl(type) {
+    return type.interval;
+  },
+
+  create() {
+    return { hits: [] };
+  },
+
+  drip(bucket, type) {
+    const windowStart = Date.now() - type.interval;
+    return {
+      hits: bucket.hits.filter(hit => hit[0] > windowStart)
+    };
+  },
+
+  take(bucket, type, count) {
+    if (used(bucket) + count > type.size) {
+      return false;
+    }
+
+    const now = Date.now();
+    const last = bucket.hits[bucket.hits.length - 1];
+
+    if (last && last[0] === now) {
+      last[1] += count;
+    } else {
+      bucket.hits.push([now, count]);
+    }
+
+    return true;
+  },
+
+  put(bucket, type, count) {
+    if (!bucket) {
+      return;
+    }
+
+    bucket = this.drip(bucket, type);
+
+    //return the tokens starting from the oldest hits.
+    while (count > 0 && bucket.hits.length > 0) {
+      const oldest = bucket.hits[0];
+      const returned = Math.min(oldest[1], count);
+      oldest[1] -= returned;
+      count -= returned;
+      if (oldest[1] === 0) {
+        bucket.hits.shift();
+      }
+    }
+
+    return bucket;
+  },
+
+  remaining(bucket, type) {
+    return Math.max(type.size - used(bucket), 0);
+  },
+
+  reset(bucket, type) {
+    const last = bucket.hits[bucket.hits.length - 1];
+    const full = last ? last[0] + type.interval : Date.now();
+    return Math.ceil(full / 1000);
+  },
+
+  delay(bucket, type, count) {
+    if (count > type.size) {
+      return Infinity;
+    }
+
+    var missing = used(bucket) + count - type.size;
+
+    if (missing <= 0) {
+      return 0;
+    }
+
+    const now = Date.now();
+
+    for (var i = 0; i < bucket.hits.length; i++) {
+      missing -= bucket.hits[i][1];
+      if (missing <= 0) {
+        return Math.max(bucket.hits[i][0] + type.interval - now, 0);
+      }
+    }
+
+    return 0;
+  },
+
+  isFull(bucket, type) {
+    return this.drip(bucket, type).hits.length === 0;
+  }
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * The Token Bucket Algorithm.
+ *
+ * The bucket holds up to `size` tokens and receives `per_interval`
+ * tokens every `interval` milliseconds. Buckets without a rate
+ * are fixed and only refilled with PUT.
+ *
+ * Stored as { content, lastDrip, size, reset, lastConformant }.
+ */
+function getResetTimestamp(bucket, type) {
+  if (!type.per_interval) {
+    return 0;
+  }
+
+  const now = Date.now();
+  const missing = type.size - bucket.content;
+  const msToCompletion = Math.ceil(missing * type.interval / type.per_interval);
+
+  return Math.ceil((now + msToCompletion) / 1000);
+}
+
+module.exports = {
+  ttl(type) {
+    if (!type.per_interval) {
+      return;
+    }
+    return (type.size * type.interval) / type.per_interval;
+  },
+
+  create(type) {
+    return {
+      lastDrip: Date.now(),
+      content: type.size,
+      reset: 0
+    };
+  },
+
+  drip(bucket, type) {
+    if (!type.per_interval) {
+      return {
+        content: bucket.content,
+        size: bucket.size
+      };
+    }
+
+    const now = Date.now();
+    const deltaMS = Math.max(now - bucket.lastDrip, 0);
+    const dripAmount = deltaMS * (type.per_interval / type.interval);
+    const content = Math.min(bucket.content + dripAmount, type.size);
+
+    return {
+      content:    content,
+      lastDrip:   now,
+      size:       type.size,
+      beforeDrip: bucket.content
+    };
+  },
+
+  take(bucket, type, count) {
+    //this happen when we scale down a bucket
+    //imagine the size was 10 and the current content is 9.
+    //then we scale down the bucket to 6...
+    //The current content should be computed as 6, not 9.
+    bucket.content = Math.min(type.size, bucket.content);
+    bucket.size = type.size;
+
+    if (bucket.content >= count) {
+      bucket.lastConformant = true;
+      bucket.content -= count;
+    } else {
+      bucket.lastConformant = false;
+    }
+
+    bucket.reset = getResetTimestamp(bucket, type);
+    return bucket.lastConformant;
+  },
+
+  put(bucket, type, count) {
+    bucket = bucket || {
+      lastDrip: Date.now(),
+      content: type.size,
+      size: type.size
+    };
+
+    bucket.content = Math.min(type.size, bucket.content + count);
+
+    return bucket;
+  },
+
+  remaining(bucket) {
+    return bucket.content;
+  },
+
+  reset(bucket, type) {
+    return getResetTimestamp(bucket, type);
+  },
+
+  delay(bucket, type, count) {
+    if (count > type.size) {
+      return Infinity;
+    }
+    const required = count - Math.floor(bucket.content);
+    return Math.ceil(required * type.interval / type.per_interval);
+  },
+
+  isFull(bucket) {
+    return bucket.reset === 0 && bucket.content === bucket.size;
+  }
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * Calendar periods (day, week and month) in a given timezone.
+ *
+ * Weeks start on Monday.
+ */
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hour12:   false,
+      year:     'numeric',
+      month:    'numeric',
+      day:      'numeric',
+      hour:     'numeric',
+      minute:   'numeric',
+      second:   'numeric'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * The offset in milliseconds of the timezone at the given timestamp.
+ */
+function getOffset(timestamp, timezone) {
+  const parts = {};
+
+  getFormatter(timezone).formatToParts(timestamp).forEach(part => {
+    parts[part.type] = parseInt(part.value, 10);
+  });
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day,
+                             parts.hour % 24, parts.minute, parts.second);
+
+  return wallClock - (timestamp - timestamp % 1000);
+}
+
+/**
+ * Converts a wall clock time of the timezone (expressed as UTC) to a timestamp.
+ */
+function fromWallClock(wallClock, timezone) {
+  const guess = wallClock - getOffset(wallClock, timezone);
+  return wallClock - getOffset(guess, timezone);
+}
+
+function startOfPeriod(wallClock, period) {
+  const date = new Date(wallClock);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+
+  switch (period) {
+    case 'day':
+      return Date.UTC(year, month, day);
+    case 'week':
+      return Date.UTC(year, month, day - (date.getUTCDay() + 6) % 7);
+    case 'month':
+      return Date.UTC(year, month, 1);
+  }
+}
+
+function nextPeriod(start, period) {
+  const date = new Date(start);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+
+  switch (period) {
+    case 'day':
+      return Date.UTC(year, month, day + 1);
+    case 'week':
+      return Date.UTC(year, month, day + 7);
+    case 'month':
+      return Date.UTC(year, month + 1, 1);
+  }
+}
+
+module.exports.PERIODS = ['day', 'week', 'month'];
+
+/**
+ * Throws a RangeError if the timezone is not supported.
+ */
+module.exports.validateTimezone = function(timezone) {
+  getFormatter(timezone);
+};
+
+/**
+ * Returns the timestamp when the period containing the given timestamp started.
+ */
+module.exports.start = function(timestamp, period, timezone) {
+  const wallClock = timestamp + getOffset(timestamp, timezone);
+  return fromWallClock(startOfPeriod(wallClock, period), timezone);
+};
+
+/**
+ * Returns the timestamp when the period containing the given timestamp ends.
+ */
+module.exports.end = function(timestamp, period, timezone) {
+  const wallClock = timestamp + getOffset(timestamp, timezone);
+  return fromWallClock(nextPeriod(startOfPeriod(wallClock, period), period), timezone);
+};
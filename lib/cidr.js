@@ -0,0 +1,169 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * IPv4 and IPv6 addresses and CIDR ranges, e.g. 10.0.0.0/8 or 2001:db8::/32.
+ *
+ * Addresses are parsed to arrays of bytes. IPv4-mapped IPv6 addresses
+ * (::ffff:10.0.0.1) are handled as IPv4 addresses.
+ */
+const IPV4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+const IPV6_GROUP = /^[0-9a-f]{1,4}$/i;
+const RANGE = /^([^/]+)\/(\d{1,3})$/;
+
+function parseIPv4(address) {
+  const match = IPV4.exec(address);
+
+  if (!match) {
+    return;
+  }
+
+  const bytes = match.slice(1).map(Number);
+
+  return bytes.every(byte => byte <= 255) ? bytes : undefined;
+}
+
+function parseIPv6(address) {
+  const lastColon = address.lastIndexOf(':');
+
+  if (lastColon === -1) {
+    return;
+  }
+
+  //an IPv4 address in the last 32 bits, e.g. ::ffff:10.0.0.1
+  if (address.indexOf('.', lastColon) !== -1) {
+    const ipv4 = parseIPv4(address.slice(lastColon + 1));
+
+    if (!ipv4) {
+      return;
+    }
+
+    address = address.slice(0, lastColon + 1) +
+      (ipv4[0] * 256 + ipv4[1]).toString(16) + ':' +
+      (ipv4[2] * 256 + ipv4[3]).toString(16);
+  }
+
+  const halves = address.split('::');
+
+  if (halves.length > 2) {
+    return;
+  }
+
+  const groups = halves.map(half => half === '' ? [] : half.split(':'));
+  const count = _.sumBy(groups, 'length');
+
+  if (halves.length === 1 ? count !== 8 : count > 7) {
+    return;
+  }
+
+  const all = halves.length === 1 ?
+    groups[0] :
+    groups[0].concat(_.times(8 - count, _.constant('0')), groups[1]);
+
+  if (!all.every(group => IPV6_GROUP.test(group))) {
+    return;
+  }
+
+  return _.flatMap(all, group => {
+    const value = parseInt(group, 16);
+    return [Math.floor(value / 256), value % 256];
+  });
+}
+
+function isIPv4Mapped(bytes) {
+  return bytes.length === 16 &&
+    bytes.slice(0, 10).every(byte => byte === 0) &&
+    bytes[10] === 255 && bytes[11] === 255;
+}
+
+/**
+ * Parses an IPv4 or IPv6 address, returns undefined if it is not valid.
+ *
+ * @param {string} address
+ * @returns {Array.<integer>|undefined} The bytes of the address.
+ */
+function parseAddress(address) {
+  if (typeof address !== 'string') {
+    return;
+  }
+
+  const bytes = parseIPv4(address) || parseIPv6(address);
+
+  if (bytes && isIPv4Mapped(bytes)) {
+    return bytes.slice(12);
+  }
+
+  return bytes;
+}
+
+/**
+ * Parses a CIDR range, returns undefined if it is not valid.
+ *
+ * @param {string} range
+ * @returns {{bytes: Array.<integer>, bits: integer}|undefined}
+ */
+function parseRange(range) {
+  const match = typeof range === 'string' && RANGE.exec(range);
+
+  if (!match) {
+    return;
+  }
+
+  var bytes = parseIPv4(match[1]) || parseIPv6(match[1]);
+  var bits = Number(match[2]);
+
+  if (!bytes || bits > bytes.length * 8) {
+    return;
+  }
+
+  if (isIPv4Mapped(bytes) && bits >= 96) {
+    bytes = bytes.slice(12);
+    bits -= 96;
+  }
+
+  return { bytes, bits };
+}
+
+/**
+ * True if the value looks like a CIDR range, valid or not.
+ */
+function isRangeLike(value) {
+  const match = typeof value === 'string' && RANGE.exec(value);
+  return !!match && !!parseAddress(match[1]);
+}
+
+/**
+ * True if the parsed address is in the parsed range.
+ */
+function contains(range, address) {
+  if (range.bytes.length !== address.length) {
+    return false;
+  }
+
+  const fullBytes = Math.floor(range.bits / 8);
+
+  for (var i = 0; i < fullBytes; i++) {
+    if (range.bytes[i] !== address[i]) {
+      return false;
+    }
+  }
+
+  const rest = range.bits % 8;
+
+  if (rest === 0) {
+    return true;
+  }
+
+  //compare the first bits of the last byte.
+  const divisor = Math.pow(2, 8 - rest);
+
+  return Math.floor(range.bytes[fullBytes] / divisor) === Math.floor(address[fullBytes] / divisor);
+}
+
+module.exports = {
+  parseAddress,
+  parseRange,
+  isRangeLike,
+  contains
+};
@@ -1,17 +1,23 @@
 'use strict';
 
-const level  = require('levelup');
-const ttl    = require('level-ttl');
-const spaces = require('level-spaces');
-const ms     = require('ms');
 const fs     = require('fs');
+const path   = require('path');
+const StringDecoder = require('string_decoder').StringDecoder;
+const Readable = require('stream').Readable;
+const ms     = require('ms');
 const _      = require('lodash');
-const leveldb = require('leveldown');
-
-const gms    = require('./gms');
-const LRU    = require('lru-cache');
+const async  = require('async');
+
+const gms     = require('./gms');
+const errors  = require('./errors');
+const drivers = require('./drivers');
+const algorithms = require('./algorithms');
+const calendar = require('./calendar');
+const cidr     = require('./cidr');
+const validation = require('./validation');
+const Metrics = require('./metrics');
+const LRU     = require('lru-cache');
 const EventEmitter = require('events').EventEmitter;
-const dbChecker = require('../bin/db-checker');
 
 const INTERVAL_TO_MS = {
   'per_second': ms('1s'),
@@ -20,27 +26,170 @@ const INTERVAL_TO_MS = {
   'per_day':    ms('1d')
 };
 
-const drivers = {
-  'leveldb': leveldb
-};
-
 const INTERVAL_SHORTCUTS = Object.keys(INTERVAL_TO_MS);
+
+const CALENDAR_SHORTCUTS = {
+  'per_calendar_day':   'day',
+  'per_calendar_week':  'week',
+  'per_calendar_month': 'month'
+};
 const GC_GRACE_PERIOD = ms('2m');
 
+//the longest delay of a timer, longer delays fire immediately.
+//longer waits are retried, and re-armed, when the timer fires.
+const MAX_TIMEOUT = 2147483647;
+
+//the sublevel where runtime overrides are stored.
+const OVERRIDES_SUBLEVEL = '$overrides';
+
+//the sublevel where the violations and the blocked keys are stored.
+const PENALTIES_SUBLEVEL = '$penalties';
+
+//the sublevel where the runtime entries of the allow and deny lists are stored.
+const LISTS_SUBLEVEL = '$lists';
+const LISTS = ['allow', 'deny'];
+
+//the placeholders of the templates of the parent keys, e.g. {tenant}.
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+const DEFAULT_STATUS_LIMIT = 100;
+
+//the number of buckets removed in every batch by resetPrefix and deletePrefix.
+const BULK_BATCH_SIZE = 100;
+
 const defaults = {
   driver: 'leveldb',
-  inMemory: false
+  inMemory: false,
+  readOnly: false,
+  metrics: {},
+  maxPendingOperations: 1000,
+  pendingTimeout: ms('30s')
 };
 
+/**
+ * Calls fn with a node-style callback and returns a promise
+ * settled with the result. Used by the public methods when
+ * they are called without a callback.
+ */
+function fromCallback(fn) {
+  const promise = new Promise((resolve, reject) => {
+    fn((err, result) => err ? reject(err) : resolve(result));
+  });
+
+  //the methods are also called without callback to fire and forget,
+  //e.g. db.put(params), their errors are not unhandled rejections.
+  promise.catch(_.noop);
+
+  return promise;
+}
+
+/**
+ * The ttl of calendar types depends on the current time.
+ */
+function getTTL(type) {
+  return typeof type.ttl === 'function' ? type.ttl() : type.ttl;
+}
+
+/**
+ * Old versions of levelup stored buckets as strings.
+ */
+function parseBucket(bucket) {
+  return bucket && typeof bucket === 'string' ? JSON.parse(bucket) : bucket;
+}
+
+/**
+ * Buckets are stored with the name of the algorithm that wrote them, every
+ * algorithm stores a different shape. A bucket of another algorithm, e.g. after
+ * the algorithm of the type changed or for a key of an override with another
+ * algorithm, is ignored. Buckets stored without algorithm are token buckets.
+ */
+function readBucket(value, typeParams) {
+  const bucket = parseBucket(value);
+
+  if (!bucket || (bucket.algorithm || 'token_bucket') !== typeParams.algorithm) {
+    return;
+  }
+
+  return bucket;
+}
+
+/**
+ * The stored bucket updated to the current time, or a new bucket.
+ */
+function dripBucket(value, typeParams) {
+  const algorithm = algorithms[typeParams.algorithm];
+  const bucket = readBucket(value, typeParams);
+  return bucket ? algorithm.drip(bucket, typeParams) : algorithm.create(typeParams);
+}
+
+function tagBucket(bucket, typeParams) {
+  return bucket && Object.assign(bucket, { algorithm: typeParams.algorithm });
+}
+
+/**
+ * The cursor of a status page is the last key of the page.
+ */
+function encodeCursor(key) {
+  return Buffer.from(key, 'utf8').toString('base64');
+}
+
+function decodeCursor(cursor) {
+  return Buffer.from(cursor, 'base64').toString('utf8');
+}
+
+/**
+ * Throws an InvalidTypesError listing every problem of the configuration.
+ */
+function validateTypes(typesConfig) {
+  const problems = validation.validateTypes(typesConfig);
+
+  if (problems.length > 0) {
+    throw new errors.InvalidTypesError(problems);
+  }
+}
+
+/**
+ * The params an override inherits from its type: the algorithm and,
+ * for calendar types, the timezone and the period when the override has none.
+ */
+function inheritedParams(type, overrideDef) {
+  const inherited = { algorithm: type.algorithm };
+
+  if (type.period) {
+    inherited.timezone = type.timezone;
+    if (!_.some(CALENDAR_SHORTCUTS, (period, shortcut) => overrideDef[shortcut])) {
+      inherited[`per_calendar_${type.period}`] = type.per_period;
+    }
+  }
+
+  return inherited;
+}
+
 function normalizeType(params) {
   const type = _.pick(params, [
     'per_interval',
     'interval',
     'size',
     'unlimited',
-    'ttl'
+    'ttl',
+    'lease_ttl'
   ]);
 
+  type.algorithm = params.algorithm || 'token_bucket';
+
+  _.forEach(CALENDAR_SHORTCUTS, (period, shortcut) => {
+    if (!params[shortcut]) { return; }
+    type.algorithm = 'calendar';
+    type.period = period;
+    type.per_period = params[shortcut];
+    type.timezone = params.timezone || 'UTC';
+    calendar.validateTimezone(type.timezone);
+  });
+
+  if (!algorithms[type.algorithm]) {
+    throw new Error(`unknown algorithm ${type.algorithm}`);
+  }
+
   INTERVAL_SHORTCUTS.forEach(ish => {
     if (!params[ish]) { return; }
     type.interval = INTERVAL_TO_MS[ish];
@@ -48,32 +197,218 @@ function normalizeType(params) {
   });
 
   if (typeof type.size === 'undefined') {
-    type.size = type.per_interval;
+    type.size = type.per_interval || type.per_period;
+  }
+
+  if (algorithms[type.algorithm].requiresRate && !type.per_interval && !type.unlimited) {
+    throw new Error(`the ${type.algorithm} algorithm requires a rate`);
+  }
+
+  if (algorithms[type.algorithm].requiresPeriod && !type.period) {
+    throw new Error(`the ${type.algorithm} algorithm requires a calendar period`);
   }
 
-  if (type.per_interval && !type.ttl) {
-    type.ttl = (type.size * type.interval) / type.per_interval;
+  if (!type.ttl) {
+    const ttl = algorithms[type.algorithm].ttl(type);
+    const gracePeriod = process.env.NODE_ENV !== 'test' ? GC_GRACE_PERIOD : 0;
 
-    if (process.env.NODE_ENV !== 'test') {
-      type.ttl += GC_GRACE_PERIOD;
+    if (typeof ttl === 'function') {
+      //follow the calendar boundaries.
+      type.ttl = () => ttl() + gracePeriod;
+    } else if (ttl) {
+      type.ttl = ttl + gracePeriod;
     }
   }
 
   type.overrides = _.map(params.overrides || params.override || {}, (overrideDef, name) => {
-    const override = normalizeType(overrideDef);
+    const override = normalizeType(Object.assign(inheritedParams(type, overrideDef), overrideDef));
     override.name = name;
-    override.until = overrideDef.until;
-    override.match = overrideDef.match;
+    override.from = overrideDef.from && new Date(overrideDef.from);
+    override.until = overrideDef.until && new Date(overrideDef.until);
+    override.match = overrideDef.match && matchRegExp(overrideDef.match);
     return override;
-  }).filter(o => !o.until || o.until >= new Date());
+  });
 
   if (type.overrides) {
     type.overridesCache = new LRU({ max: 50 });
   }
 
+  type.events = params.events || {};
+
+  if (params.parent) {
+    type.parent = normalizeParent(params.parent);
+  }
+
+  //the configured entries, see _applyRuntimeLists.
+  type.allow = params.allow || [];
+  type.deny = params.deny || [];
+
+  if (params.penalty) {
+    type.penalty = _.defaults({}, params.penalty, { backoff: 1, maxDuration: Infinity });
+  }
+
+  if (type.events.debounce) {
+    //the keys that emitted a nonconformant event within the debounce period.
+    type.eventsDebounce = new LRU({ max: 10000, maxAge: type.events.debounce });
+  }
+
   return type;
 }
 
+/**
+ * The parent of a type is { type, key } where key derives the key of the
+ * parent bucket. It is a function of the key or a template filled with the
+ * placeholders of the pattern, e.g. `tenant:{tenant}` with the pattern
+ * `user:{tenant}:{id}`. Keys that don't match the pattern have no parent.
+ */
+function normalizeParent(params) {
+  if (typeof params.key === 'function') {
+    return { type: params.type, key: params.key };
+  }
+
+  const names = [];
+  const pattern = params.pattern && new RegExp('^' + params.pattern.split(PLACEHOLDER).map((part, index) => {
+    if (index % 2 === 0) {
+      return _.escapeRegExp(part);
+    }
+    names.push(part);
+    return '(.+?)';
+  }).join('') + '$');
+
+  return {
+    type: params.type,
+    key: (key) => {
+      const match = pattern && pattern.exec(key);
+
+      if (pattern && !match) {
+        return;
+      }
+
+      return params.key.replace(PLACEHOLDER, (placeholder, name) => match[names.indexOf(name) + 1]);
+    }
+  };
+}
+
+/**
+ * The result of the bucket that limits the most: the first one
+ * that is not conformant or the one with the fewest remaining tokens.
+ */
+function mostRestrictive(results) {
+  return _.find(results, r => r.conformant === false) || _.minBy(results, 'remaining');
+}
+
+/**
+ * The regular expression of a match param or of a stored record,
+ * without the g and y flags that make test and exec skip keys.
+ */
+function matchRegExp(match) {
+  const source = typeof match === 'string' ? match : match.source;
+  return new RegExp(source, (match.flags || '').replace(/[gy]/g, ''));
+}
+
+/**
+ * Runtime overrides are stored as { type, key, match, limits }
+ * where match is the source and the flags of the regular expression.
+ */
+function overrideId(typeName, params) {
+  const name = params.match ? `/${params.match.source}/${params.match.flags}` : params.key;
+  return `${typeName}\u0000${name}`;
+}
+
+/**
+ * The label of the override in the metrics, undefined without override.
+ * Runtime overrides are usually set per key, they share the runtime label
+ * to keep the keys out of the metrics.
+ */
+function overrideName(type, typeParams) {
+  if (typeParams === type) {
+    return;
+  }
+  if (typeParams.runtime) {
+    return 'runtime';
+  }
+  return typeParams.name || String(typeParams.match);
+}
+
+function normalizeRuntimeOverride(type, record) {
+  const override = normalizeType(Object.assign(inheritedParams(type, record.limits), record.limits));
+  override.name = record.key;
+  override.runtime = true;
+  override.from = record.limits.from && new Date(record.limits.from);
+  override.until = record.limits.until && new Date(record.limits.until);
+  override.match = record.match && matchRegExp(record.match);
+  return override;
+}
+
+/**
+ * Runtime entries of the lists are stored as { type, list, key, match }
+ * where key is an exact key or a CIDR range.
+ */
+function listEntryId(typeName, list, params) {
+  return `${list}\u0000${overrideId(typeName, params)}`;
+}
+
+/**
+ * Compiles the entries of an allow or deny list: exact keys,
+ * regular expressions and CIDR ranges.
+ */
+function createAccessList(entries) {
+  const list = { keys: {}, patterns: [], ranges: [] };
+
+  entries.forEach(entry => {
+    if (_.isRegExp(entry)) {
+      return list.patterns.push(entry);
+    }
+
+    const range = cidr.parseRange(entry);
+
+    if (range) {
+      return list.ranges.push(range);
+    }
+
+    list.keys[entry] = true;
+  });
+
+  return list;
+}
+
+function accessListMatches(list, key) {
+  if (_.has(list.keys, key) || list.patterns.some(pattern => key.search(pattern) !== -1)) {
+    return true;
+  }
+
+  if (list.ranges.length === 0) {
+    return false;
+  }
+
+  const address = cidr.parseAddress(key);
+
+  return !!address && list.ranges.some(range => cidr.contains(range, address));
+}
+
+/**
+ * The params of a key in the deny or the allow list of the type.
+ * Keys in the deny list have no tokens, keys in the allow list are unlimited.
+ */
+function listedTypeParams(type, key) {
+  if (accessListMatches(type.lists.deny, key)) {
+    return Object.assign({}, type, { name: 'deny', denied: true, size: 0 });
+  }
+
+  if (accessListMatches(type.lists.allow, key)) {
+    return Object.assign({}, type, { name: 'allow', unlimited: true });
+  }
+}
+
+function deniedResult() {
+  return {
+    conformant: false,
+    remaining: 0,
+    reset: Math.ceil(Date.now() / 1000),
+    limit: 0
+  };
+}
+
 class LimitDB extends EventEmitter {
 
   /**
@@ -86,37 +421,82 @@ class LimitDB extends EventEmitter {
 
     params = Object.assign({}, defaults, params);
 
-    if (typeof params.path !== 'string' && !params.inMemory) {
-      throw new Error('path is required');
+    const driver = this._driver = drivers.resolve(params.driver);
+
+    if (driver.validate) {
+      driver.validate(params);
     }
 
+    validateTypes(params.types || {});
+
     this.state = 'opening';
+    this._readOnly = params.readOnly;
+    this._pending = [];
+    this._waiters = {};
+    this._depleted = {};
+    this._blocked = {};
+    this._metrics = new Metrics({
+      byOverride: params.metrics.byOverride,
+      queueDepth: () => _.mapValues(this._types, type => type.db.queueDepth())
+    });
+    this._pendingOptions = {
+      max: params.maxPendingOperations,
+      timeout: params.pendingTimeout
+    };
 
     const done = (err) => {
       if (err) {
+        this.state = 'error';
+        this._openError = new errors.DatabaseOpenError(err);
+        this._flushPending();
         return this.emit('error', err);
       }
       this.state = 'ready';
+      this._flushPending();
       this.emit('ready');
     };
 
-    const leveldbOnFs = params.driver === 'leveldb' && !params.inMemory;
-
-    if (leveldbOnFs && fs.existsSync(params.path)) {
+    if (driver.check) {
       this._safeOpenDb(params, done);
     } else {
       this._openDb(params, done);
     }
   }
 
+  /**
+   * Creates an instance of LimitDB and waits until it is ready.
+   *
+   * @param {params} params - The configuration for the database.
+   * @returns {Promise.<LimitDB>} Resolves once the database is open, rejects on open or repair errors.
+   */
+  static open(params) {
+    return new Promise((resolve, reject) => {
+      const db = new LimitDB(params);
+      const onError = (err) => {
+        db.removeListener('ready', onReady);
+        reject(err);
+      };
+      const onReady = () => {
+        db.removeListener('error', onError);
+        resolve(db);
+      };
+      db.once('ready', onReady);
+      db.once('error', onError);
+    });
+  }
+
   _safeOpenDb(params, done) {
-    dbChecker.check(params.path, (err) => {
+    this._driver.check(params, (err) => {
+      if (err && params.readOnly) {
+        return done(err);
+      }
+
       if (err) {
+        this._metrics.repair();
         this.emit('repairing');
-        return leveldb.repair(params.path, (err) => {
+        return this._driver.repair(params, (err) => {
           if (err) {
-            this.emit('error', err);
-            return;
+            return done(err);
           }
           this._openDb(params, done);
         });
@@ -126,32 +506,142 @@ class LimitDB extends EventEmitter {
   }
 
   _openDb(params, callback) {
-    const db = drivers[params.driver];
-    const memory = params.inMemory && params.driver === 'leveldb' || undefined;
+    params = Object.assign({
+      checkFrequency: process.env.NODE_ENV === 'test' ? 100 : ms('30s')
+    }, params);
 
-    level(db(params.path || ''), {
-      memory,
-      valueEncoding: 'json'
-    }, (err, db) => {
+    this._driver.open(params, (err, store) => {
       if (err) {
         return callback(err);
       }
 
-      this._db = ttl(db, {
-        checkFrequency: process.env.NODE_ENV === 'test' ? 100 : ms('30s')
+      this._db = store;
+      this._overridesDb = this._db.sublevel(OVERRIDES_SUBLEVEL);
+      this._penaltiesDb = gms(this._db.sublevel(PENALTIES_SUBLEVEL));
+      this._listsDb = this._db.sublevel(LISTS_SUBLEVEL);
+
+      async.series([
+        cb => this._loadRuntimeOverrides(cb),
+        cb => this._loadRuntimeLists(cb),
+        cb => this._loadPenalties(cb)
+      ], (err) => {
+        if (err) {
+          return callback(err);
+        }
+
+        this.loadTypes(params.types);
+
+        callback();
       });
+    });
+  }
 
-      this.loadTypes(params.types);
+  _loadRuntimeOverrides(callback) {
+    this._runtimeOverrides = {};
 
-      callback();
+    this._overridesDb.createReadStream()
+      .on('data', data => {
+        this._runtimeOverrides[data.key] = parseBucket(data.value);
+      })
+      .once('error', callback)
+      .once('end', () => callback());
+  }
+
+  /**
+   * Normalizes the runtime overrides of the type,
+   * runtime overrides for a key are evaluated before those with match.
+   * Their from and until dates are checked on every lookup, see _getTypeParams.
+   */
+  _applyRuntimeOverrides(type, name) {
+    type.runtimeOverrides = _(this._runtimeOverrides)
+      .filter(record => record.type === name)
+      .sortBy(record => record.match ? 1 : 0)
+      .map(record => normalizeRuntimeOverride(type, record))
+      .value();
+  }
+
+  _loadRuntimeLists(callback) {
+    this._runtimeLists = {};
+
+    this._listsDb.createReadStream()
+      .on('data', data => {
+        this._runtimeLists[data.key] = parseBucket(data.value);
+      })
+      .once('error', callback)
+      .once('end', () => callback());
+  }
+
+  /**
+   * Compiles the allow and deny lists of the type
+   * with the configured and the runtime entries.
+   */
+  _applyRuntimeLists(type, name) {
+    const runtime = _(this._runtimeLists)
+      .filter(record => record.type === name)
+      .groupBy('list')
+      .mapValues(records => records.map(record => record.match ?
+        matchRegExp(record.match) :
+        record.key))
+      .value();
+
+    type.lists = _.zipObject(LISTS, LISTS.map(list => {
+      return createAccessList(type[list].concat(runtime[list] || []));
+    }));
+  }
+
+  /**
+   * Buffers an operation issued while the database is opening.
+   * The operation is replayed once the database is ready or
+   * fails if the database can't be opened.
+   *
+   * @param {function(function)} operation The operation to replay, called with the callback.
+   * @param {function(Error)} callback The callback of the operation.
+   */
+  _defer(operation, callback) {
+    if (this.state === 'closed') {
+      return setImmediate(callback, new errors.DatabaseClosedError());
+    }
+
+    if (this.state === 'error') {
+      return setImmediate(callback, this._openError);
+    }
+
+    const options = this._pendingOptions;
+
+    if (this._pending.length >= options.max) {
+      return setImmediate(callback, new errors.PendingQueueFullError(options.max));
+    }
+
+    const pending = { operation, callback };
+
+    pending.timeout = setTimeout(() => {
+      _.pull(this._pending, pending);
+      callback(new errors.PendingTimeoutError(options.timeout));
+    }, options.timeout);
+
+    this._pending.push(pending);
+  }
+
+  _flushPending() {
+    const pending = this._pending;
+    this._pending = [];
+
+    pending.forEach(p => {
+      clearTimeout(p.timeout);
+      if (this.state === 'error') {
+        return p.callback(this._openError);
+      }
+      p.operation(p.callback);
     });
   }
 
   /**
    * Load the buckets configuration.
    * This method can be used when the database is open.
+   * Types that didn't change since the last load are kept as they are.
    *
    * @param {Object.<string, type>} typesConfig The buckets configuration.
+   * @returns {typesDiff} The types added, removed and changed.
    * @memberof LimitDB
    */
   loadTypes(typesConfig) {
@@ -159,46 +649,111 @@ class LimitDB extends EventEmitter {
       throw new Error('database is not ready yet');
     }
 
+    typesConfig = typesConfig || {};
+
+    validateTypes(typesConfig);
+
+    const current = this._types || {};
+    const previousConfig = this._typesConfig || {};
+    const diff = { added: [], removed: [], changed: [] };
+
     const types = _.reduce(typesConfig, (result, typeParams, name) => {
+      if (current[name] && _.isEqual(previousConfig[name], typeParams)) {
+        result[name] = current[name];
+        return result;
+      }
+
+      diff[current[name] ? 'changed' : 'added'].push(name);
+
       const type = result[name] = normalizeType(typeParams);
-      type.db = gms(spaces(this._db, name, { valueEncoding: 'json' }));
+      type.name = name;
+      type.db = gms(this._db.sublevel(name), this._metrics.gmsHooks(name));
+      this._applyRuntimeOverrides(type, name);
+      this._applyRuntimeLists(type, name);
       return result;
     }, {});
 
+    diff.removed = _.difference(Object.keys(current), Object.keys(types));
+
     this._types = types;
+    this._typesConfig = _.cloneDeep(typesConfig);
+
+    return diff;
   }
 
-  _drip(bucket, type) {
-    if (!type.per_interval) {
-      return {
-        content: bucket.content,
-        size: bucket.size
-      };
-    }
+  /**
+   * Watch a JSON or javascript file exporting the buckets configuration
+   * and load the types every time the file changes.
+   *
+   * Emits `typesReloaded` with the diff of the types, or `typesReloadError`
+   * if the file is not valid. In that case the previous types are kept.
+   *
+   * @param {string} file The path of the file.
+   * @param {watchTypesOptions} [options]
+   */
+  watchTypes(file, options) {
+    options = Object.assign({ interval: ms('5s') }, options);
 
-    const now = Date.now();
-    const deltaMS = Math.max(now - bucket.lastDrip, 0);
-    const dripAmount = deltaMS * (type.per_interval / type.interval);
-    const content = Math.min(bucket.content + dripAmount, type.size);
+    this.unwatchTypes();
 
-    return {
-      content:    content,
-      lastDrip:   now,
-      size:       type.size,
-      beforeDrip: bucket.content
+    const reload = () => {
+      if (this.state === 'opening') {
+        return this.once('ready', reload);
+      }
+
+      if (this.state !== 'ready') {
+        return;
+      }
+
+      var diff;
+
+      try {
+        diff = this.loadTypes(this._readTypes(file));
+      } catch (err) {
+        return this.emit('typesReloadError', err);
+      }
+
+      this.emit('typesReloaded', diff);
+    };
+
+    const listener = (current, previous) => {
+      if (current.mtime.getTime() !== previous.mtime.getTime()) {
+        reload();
+      }
     };
+
+    fs.watchFile(file, { persistent: false, interval: options.interval }, listener);
+
+    this._typesWatcher = { file, listener };
+
+    reload();
   }
 
-  _getResetTimestamp(bucket, type) {
-    if (!type.per_interval) {
-      return 0;
+  /**
+   * Stops watching the types configuration file.
+   */
+  unwatchTypes() {
+    if (!this._typesWatcher) {
+      return;
     }
 
-    const now = Date.now();
-    const missing = type.size - bucket.content;
-    const msToCompletion = Math.ceil(missing * type.interval / type.per_interval);
+    fs.unwatchFile(this._typesWatcher.file, this._typesWatcher.listener);
+    delete this._typesWatcher;
+  }
+
+  _readTypes(file) {
+    file = path.resolve(file);
+
+    var typesConfig;
+
+    if (path.extname(file) === '.json') {
+      typesConfig = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } else {
+      delete require.cache[file];
+      typesConfig = require(file);
+    }
 
-    return Math.ceil((now + msToCompletion) / 1000);
+    return typesConfig;
   }
 
   _getTypeParams(type, key) {
@@ -208,36 +763,1935 @@ class LimitDB extends EventEmitter {
       return fromCache;
     }
 
-    const result = _.find(type.overrides, o => {
-      if (o.match) {
-        return o.match.exec(key);
-      } else {
-        return o.name === key;
+    //the lists take precedence over the overrides.
+    const listed = listedTypeParams(type, key);
+
+    if (listed) {
+      type.overridesCache.set(key, listed);
+      return listed;
+    }
+
+    const now = Date.now();
+
+    //runtime overrides take precedence over the configuration.
+    const overrides = (type.runtimeOverrides || []).concat(type.overrides);
+
+    //the result is cached until an override starts or expires.
+    var maxAge = Infinity;
+
+    const result = _.find(overrides, o => {
+      const matches = o.match ? o.match.exec(key) : o.name === key;
+
+      if (!matches) {
+        return false;
+      }
+
+      if (o.until && o.until < now) {
+        this._overrideExpired(type, o);
+        return false;
+      }
+
+      if (o.from && o.from > now) {
+        maxAge = Math.min(maxAge, Math.max(o.from - now - 1, 1));
+        return false;
+      }
+
+      if (o.until) {
+        maxAge = Math.min(maxAge, Math.max(o.until - now, 1));
       }
+
+      return true;
     }) || type;
 
-    type.overridesCache.set(key, result);
+    type.overridesCache.set(key, result, isFinite(maxAge) ? maxAge : undefined);
 
     return result;
   }
 
-  _getFullBucket(typeParams) {
-    return {
-      lastDrip: Date.now(),
-      content: typeParams.size,
-      reset: this._getResetTimestamp({ content: typeParams.size }, typeParams.size)
-    };
+  _overrideExpired(type, override) {
+    if (override.expired) {
+      return;
+    }
+
+    override.expired = true;
+
+    this.emit('overrideExpired', _.omitBy({
+      type:  type.name,
+      name:  override.name,
+      match: override.match,
+      until: override.until
+    }, _.isUndefined));
   }
 
+  /**
+   * Take N elements from a bucket if available.
+   *
+   * @param {takeParams} params - The params for take.
+   * @param {function(Error, takeResult)} [callback] - The callback to call
+   * @returns {Promise.<takeResult>|undefined} A promise when callback is omitted.
+   */
+  take(params, callback) {
+    if (!callback) {
+      return fromCallback(cb => this.take(params, cb));
+    }
+
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.take(params, cb), callback);
+    }
+
+    if (this._readOnly && !(params && params.dryRun)) {
+      return setImmediate(callback, new errors.ReadOnlyError());
+    }
+
+    if (typeof params !== 'object') {
+      params = {};
+    }
+
+    if (typeof params.type !== 'string') {
+      return setImmediate(callback, new Error('type is required'));
+    }
+
+    const type = this._types[params.type];
+
+    if (typeof type === 'undefined') {
+      return setImmediate(callback, new Error(`undefined bucket type ${params.type}`));
+    }
+
+    if (typeof params.key !== 'string') {
+      return setImmediate(callback, new Error('key is required'));
+    }
+
+    //the tokens are taken atomically from the bucket and its parents.
+    if (!params.dryRun && this._parentBuckets(type, params.key).length > 0) {
+      return this.takeMany([params], (err, result) => {
+        if (err) { return callback(err); }
+        callback(null, result.results[0]);
+      });
+    }
+
+    const typeParams = this._getTypeParams(type, params.key);
+    const blocked = this._blockedResult(type, typeParams, params.key);
+
+    if (blocked) {
+      if (!params.dryRun) {
+        this._metrics.take(type.name, overrideName(type, typeParams), false);
+      }
+      return setImmediate(callback, null, blocked);
+    }
+
+    if (params.dryRun) {
+      return this._checkBucket(type, typeParams, params, this._withParent('take', type, params, callback));
+    }
+
+    this._takeFromBucket(type, typeParams, params, (err, result) => {
+      if (err) { return callback(err); }
+      this._metrics.take(type.name, overrideName(type, typeParams), result.conformant);
+      this._emitTakeEvents(type, typeParams, params.key, params.count || 1, result);
+
+      if (result.conformant || !type.penalty || typeParams.denied) {
+        return callback(null, result);
+      }
+
+      this._recordViolation(type, params.key, (err, blockedUntil) => {
+        if (err) { return callback(err); }
+        if (blockedUntil) {
+          result.blockedUntil = blockedUntil;
+        }
+        callback(null, result);
+      });
+    });
+  }
+
+  /**
+   * Computes the result of a take without modifying the bucket.
+   * It waits for the pending operations on the bucket to complete.
+   */
+  _checkBucket(type, typeParams, params, callback) {
+    const count = params.count || 1;
+
+    if (typeParams.unlimited) {
+      return setImmediate(callback, null, {
+        conformant: true,
+        remaining: typeParams.size,
+        reset: Math.ceil(Date.now() / 1000),
+        limit: typeParams.size,
+        retryAfter: 0
+      });
+    }
+
+    if (typeParams.denied) {
+      return setImmediate(callback, null, deniedResult());
+    }
+
+    const algorithm = algorithms[typeParams.algorithm];
+
+    type.db.lock(params.key, (release) => {
+      type.db.get(params.key, (err, bucket) => {
+        release();
+
+        if (err && err.name !== 'NotFoundError') {
+          return callback(err);
+        }
+
+        bucket = dripBucket(bucket, typeParams);
+
+        const conformant = algorithm.take(bucket, typeParams, count, {});
+        const delay = conformant ? 0 : algorithm.delay(bucket, typeParams, count);
+
+        const result = {
+          conformant: conformant,
+          remaining:  Math.floor(algorithm.remaining(bucket, typeParams)),
+          reset:      algorithm.reset(bucket, typeParams),
+          limit:      typeParams.size
+        };
+
+        if (isFinite(delay)) {
+          result.retryAfter = delay;
+        }
+
+        callback(null, result);
+      });
+    });
+  }
+
+  /**
+   * Takes the tokens from the bucket.
+   * Calls back with the take result and the number of milliseconds
+   * until the requested tokens are available.
+   */
+  _takeFromBucket(type, typeParams, params, callback) {
+    const count = params.count || 1;
+
+    if (typeParams.unlimited) {
+      return setImmediate(callback, null, {
+        conformant: true,
+        remaining: typeParams.size,
+        reset: Math.ceil(Date.now() / 1000),
+        limit: typeParams.size
+      }, 0);
+    }
+
+    if (typeParams.denied) {
+      return setImmediate(callback, null, deniedResult(), Infinity);
+    }
+
+    const algorithm = algorithms[typeParams.algorithm];
+    var result, delay;
+
+    type.db.gms(params.key, (bucket) => {
+      bucket = dripBucket(bucket, typeParams);
+
+      const details = {};
+      const conformant = algorithm.take(bucket, typeParams, count, details);
+
+      result = Object.assign({
+        conformant: conformant,
+        remaining:  Math.floor(algorithm.remaining(bucket, typeParams)),
+        reset:      algorithm.reset(bucket, typeParams),
+        limit:      typeParams.size
+      }, details);
+
+      delay = conformant ? 0 : algorithm.delay(bucket, typeParams, count);
+
+      if (!conformant && algorithm.retryAfter && isFinite(delay)) {
+        result.retryAfter = delay;
+      }
+
+      return tagBucket(bucket, typeParams);
+    }, { ttl: getTTL(typeParams) }, (err) => {
+      if (err) { return callback(err); }
+      callback(null, result, delay);
+    });
+  }
+
+  /**
+   * Take N elements from several buckets atomically.
+   * Either every bucket is conformant and the tokens are taken from all
+   * of them or no bucket is modified.
+   *
+   * @param {Array.<takeParams>} buckets - The buckets to take from.
+   * @param {function(Error, takeManyResult)} [callback]
+   * @returns {Promise.<takeManyResult>|undefined} A promise when callback is omitted.
+   */
+  takeMany(buckets, callback) {
+    if (!callback) {
+      return fromCallback(cb => this.takeMany(buckets, cb));
+    }
+
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.takeMany(buckets, cb), callback);
+    }
+
+    if (this._readOnly) {
+      return setImmediate(callback, new errors.ReadOnlyError());
+    }
+
+    if (!Array.isArray(buckets)) {
+      return setImmediate(callback, new Error('buckets is required'));
+    }
+
+    const entries = [];
+
+    //the number of entries of every bucket, the bucket and its parents.
+    const groups = [];
+
+    for (var i = 0; i < buckets.length; i++) {
+      const params = buckets[i] || {};
+
+      if (typeof params.type !== 'string') {
+        return setImmediate(callback, new Error('type is required'));
+      }
+
+      const type = this._types[params.type];
+
+      if (typeof type === 'undefined') {
+        return setImmediate(callback, new Error(`undefined bucket type ${params.type}`));
+      }
+
+      if (typeof params.key !== 'string') {
+        return setImmediate(callback, new Error('key is required'));
+      }
+
+      const group = this._bucketEntries(type, params.key, params.count || 1);
+
+      groups.push(group.length);
+      entries.push.apply(entries, group);
+    }
+
+    this._takeFromBuckets(entries, (err, result) => {
+      if (err) { return callback(err); }
+
+      result.results.forEach((r, index) => {
+        const entry = entries[index];
+        this._metrics.take(entry.type.name, overrideName(entry.type, entry.typeParams), r.conformant);
+        if (!r.blockedUntil) {
+          this._emitTakeEvents(entry.type, entry.typeParams, entry.key, entry.count, r);
+        }
+      });
+
+      //every bucket reports the most restrictive result of its parents.
+      var offset = 0;
+      const groupEntries = [];
+
+      result.results = groups.map(size => {
+        offset += size;
+        groupEntries.push(entries.slice(offset - size, offset));
+        return mostRestrictive(result.results.slice(offset - size, offset));
+      });
+
+      //the violations count only on the buckets that were requested,
+      //a rejection by a parent doesn't block the parent shared with other keys.
+      async.eachOfSeries(result.results, (r, index, done) => {
+        const entry = groupEntries[index][0];
+        const denied = _.some(groupEntries[index], e => e.typeParams.denied);
+
+        if (r.conformant || r.blockedUntil || !entry.type.penalty || denied) {
+          return done();
+        }
+
+        this._recordViolation(entry.type, entry.key, (err, blockedUntil) => {
+          if (blockedUntil) {
+            r.blockedUntil = blockedUntil;
+          }
+          done(err);
+        });
+      }, (err) => {
+        if (err) { return callback(err); }
+        callback(null, result);
+      });
+    });
+  }
+
+  /**
+   * The parent buckets of a key, from the closest to the farthest.
+   */
+  _parentBuckets(type, key) {
+    const parents = [];
+    var parent = type.parent;
+
+    while (parent) {
+      const parentType = this._types[parent.type];
+
+      key = parentType && parent.key(key);
+
+      if (typeof key !== 'string') {
+        break;
+      }
+
+      parents.push({ type: parentType, key });
+      parent = parentType.parent;
+    }
+
+    return parents;
+  }
+
+  /**
+   * Wraps the callback of get, put or a dry run to apply the operation to the
+   * parent bucket too. It calls back with the most restrictive result.
+   */
+  _withParent(operation, type, params, callback) {
+    const parent = this._parentBuckets(type, params.key)[0];
+
+    if (!parent) {
+      return callback;
+    }
+
+    return (err, result) => {
+      if (err) { return callback(err); }
+
+      this[operation](Object.assign({}, params, { type: parent.type.name, key: parent.key }), (err, parentResult) => {
+        if (err) { return callback(err); }
+        callback(null, mostRestrictive([result, parentResult]));
+      });
+    };
+  }
+
+  /**
+   * The entries taken by takeMany for a bucket, the bucket and its parents.
+   */
+  _bucketEntries(type, key, count) {
+    const buckets = [{ type, key }].concat(this._parentBuckets(type, key));
+
+    return buckets.map(bucket => {
+      const typeParams = this._getTypeParams(bucket.type, bucket.key);
+      return {
+        type:      bucket.type,
+        typeParams,
+        algorithm: algorithms[typeParams.algorithm],
+        key:       bucket.key,
+        lockId:    `${bucket.type.name}\u0000${bucket.key}`,
+        count
+      };
+    });
+  }
+
+  /**
+   * Takes from the buckets of the entries atomically.
+   * Calls back with the takeMany result and the number of milliseconds
+   * until the tokens of every bucket are available.
+   */
+  _takeFromBuckets(entries, callback) {
+    //buckets are locked always in the same order to avoid deadlocks.
+    const locked = _(entries)
+      .reject(entry => entry.typeParams.unlimited || entry.typeParams.denied)
+      .uniqBy('lockId')
+      .sortBy('lockId')
+      .value();
+
+    const releases = [];
+    const stored = {};
+
+    const release = (err, result, delay) => {
+      releases.forEach(r => r());
+      callback(err, result, delay);
+    };
+
+    async.eachSeries(locked, (entry, done) => {
+      entry.type.db.lock(entry.key, (releaseLock) => {
+        releases.push(releaseLock);
+        entry.type.db.get(entry.key, (err, value) => {
+          if (err && err.name !== 'NotFoundError') {
+            return done(err);
+          }
+          stored[entry.lockId] = dripBucket(value, entry.typeParams);
+          done();
+        });
+      });
+    }, (err) => {
+      if (err) { return release(err); }
+
+      const toResult = (entry, bucket, conformant, details) => Object.assign({
+        conformant: conformant,
+        remaining:  Math.floor(entry.algorithm.remaining(bucket, entry.typeParams)),
+        reset:      entry.algorithm.reset(bucket, entry.typeParams),
+        limit:      entry.typeParams.size
+      }, details);
+
+      const unlimited = (entry) => ({
+        conformant: true,
+        remaining: entry.typeParams.size,
+        reset: Math.ceil(Date.now() / 1000),
+        limit: entry.typeParams.size
+      });
+
+      //take from a copy of the buckets first.
+      const buckets = _.mapValues(stored, bucket => JSON.parse(JSON.stringify(bucket)));
+
+      const results = entries.map(entry => {
+        const blocked = this._blockedResult(entry.type, entry.typeParams, entry.key);
+        if (blocked) {
+          return blocked;
+        }
+        if (entry.typeParams.unlimited) {
+          return unlimited(entry);
+        }
+        if (entry.typeParams.denied) {
+          return deniedResult();
+        }
+        const bucket = buckets[entry.lockId];
+        const details = {};
+        const conformant = entry.algorithm.take(bucket, entry.typeParams, entry.count, details);
+        return toResult(entry, bucket, conformant, details);
+      });
+
+      const conformant = results.every(r => r.conformant);
+
+      if (!conformant) {
+        var maxDelay = 0;
+
+        //nothing has been taken, report the current state of every bucket.
+        return release(null, {
+          conformant: false,
+          results: entries.map((entry, index) => {
+            if (results[index].blockedUntil) {
+              maxDelay = Math.max(maxDelay, results[index].retryAfter);
+              return results[index];
+            }
+            if (entry.typeParams.unlimited) {
+              return unlimited(entry);
+            }
+            if (entry.typeParams.denied) {
+              maxDelay = Infinity;
+              return deniedResult();
+            }
+            const bucket = stored[entry.lockId];
+            const result = toResult(entry, bucket, results[index].conformant);
+            const delay = entry.algorithm.delay(bucket, entry.typeParams, entry.count);
+            if (!result.conformant && entry.algorithm.retryAfter && isFinite(delay)) {
+              result.retryAfter = delay;
+            }
+            maxDelay = Math.max(maxDelay, delay);
+            return result;
+          })
+        }, maxDelay);
+      }
+
+      async.each(locked, (entry, done) => {
+        const bucket = tagBucket(buckets[entry.lockId], entry.typeParams);
+        entry.type.db.put(entry.key, bucket, { ttl: getTTL(entry.typeParams) }, done);
+      }, (err) => {
+        if (err) { return release(err); }
+        release(null, { conformant: true, results }, 0);
+      });
+    });
+  }
+
+  /**
+   * Take N elements from a bucket if available otherwise wait for them.
+   * The callback is called when the number of request tokens is available.
+   * Waiters on the same bucket are served in order.
+   *
+   * @param {waitParams} params - The params for take.
+   * @param {function(Error, waitResult)} [callback]
+   * @returns {Promise.<waitResult>|undefined} A promise when callback is omitted.
+   */
+  wait(params, callback) {
+    if (!callback) {
+      return fromCallback(cb => this.wait(params, cb));
+    }
+
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.wait(params, cb), callback);
+    }
+
+    if (this._readOnly) {
+      return setImmediate(callback, new errors.ReadOnlyError());
+    }
+
+    if (typeof params !== 'object') {
+      params = {};
+    }
+
+    if (typeof params.type !== 'string') {
+      return setImmediate(callback, new Error('type is required'));
+    }
+
+    const type = this._types[params.type];
+
+    if (typeof type === 'undefined') {
+      return setImmediate(callback, new Error(`undefined bucket type ${params.type}`));
+    }
+
+    if (typeof params.key !== 'string') {
+      return setImmediate(callback, new Error('key is required'));
+    }
+
+    if (params.signal && params.signal.aborted) {
+      return setImmediate(callback, new errors.WaitAbortedError());
+    }
+
+    const id = `${params.type}\u0000${params.key}`;
+    const queue = this._waiters[id] = this._waiters[id] || [];
+
+    if (typeof params.maxQueue === 'number' && queue.length >= params.maxQueue) {
+      return setImmediate(callback, new errors.WaitQueueFullError(params.maxQueue));
+    }
+
+    const waiter = { params, callback, delayed: queue.length > 0, start: process.hrtime() };
+
+    this._metrics.wait(params.type, overrideName(type, this._getTypeParams(type, params.key)));
+
+    if (typeof params.timeout === 'number') {
+      waiter.timeout = setTimeout(() => {
+        this._cancelWaiter(id, waiter, new errors.WaitTimeoutError(params.timeout));
+      }, params.timeout);
+    }
+
+    if (params.signal) {
+      waiter.onAbort = () => this._cancelWaiter(id, waiter, new errors.WaitAbortedError());
+      params.signal.addEventListener('abort', waiter.onAbort);
+    }
+
+    queue.push(waiter);
+
+    if (queue.length === 1) {
+      this._nextWaiter(id);
+    }
+  }
+
+  /**
+   * Tries to take the tokens for the first waiter of the bucket,
+   * otherwise retries when the tokens are expected to be available.
+   */
+  _nextWaiter(id) {
+    const queue = this._waiters[id];
+
+    if (!queue) {
+      return;
+    }
+
+    if (queue.length === 0) {
+      delete this._waiters[id];
+      return;
+    }
+
+    const waiter = queue[0];
+
+    if (waiter.inFlight) {
+      return;
+    }
+
+    clearTimeout(waiter.retry);
+
+    if (this.state === 'closed') {
+      return this._finishWaiter(id, waiter, new errors.DatabaseClosedError());
+    }
+
+    const type = this._types[waiter.params.type];
+
+    if (typeof type === 'undefined') {
+      return this._finishWaiter(id, waiter, new Error(`undefined bucket type ${waiter.params.type}`));
+    }
+
+    const typeParams = this._getTypeParams(type, waiter.params.key);
+    const blocked = this._blockedResult(type, typeParams, waiter.params.key);
+    const entries = this._bucketEntries(type, waiter.params.key, waiter.params.count || 1);
+    const denied = _.find(entries, entry => entry.typeParams.denied);
+
+    //the tokens of denied keys are never available.
+    if (denied) {
+      return this._finishWaiter(id, waiter, new errors.KeyDeniedError(denied.type.name, denied.key));
+    }
+
+    //blocked keys do not take tokens until the penalty is over.
+    if (blocked) {
+      waiter.delayed = true;
+      waiter.retry = setTimeout(() => this._nextWaiter(id), Math.min(blocked.retryAfter, MAX_TIMEOUT));
+      return;
+    }
+
+    //with parents the tokens are taken from every bucket atomically.
+    const take = entries.length === 1 ?
+      cb => this._takeFromBucket(type, typeParams, waiter.params, cb) :
+      cb => this._takeFromBuckets(entries, (err, result, delay) => {
+        if (err) { return cb(err); }
+        cb(null, mostRestrictive(result.results), delay);
+      });
+
+    waiter.inFlight = true;
+
+    take((err, result, minWait) => {
+      waiter.inFlight = false;
+
+      if (err) {
+        return this._finishWaiter(id, waiter, err);
+      }
+
+      if (result.conformant) {
+        if (waiter.delayed) {
+          result.delayed = true;
+        }
+        const delay = process.hrtime(waiter.start);
+        this._metrics.waitDelay(type.name, overrideName(type, typeParams), delay[0] * 1e3 + delay[1] / 1e6);
+        this._emitTakeEvents(type, typeParams, waiter.params.key, waiter.params.count || 1, result);
+        return this._finishWaiter(id, waiter, null, result);
+      }
+
+      if (waiter.cancelled) {
+        return this._finishWaiter(id, waiter, waiter.cancelled);
+      }
+
+      //e.g. more tokens than the size of the bucket or a bucket that never refills.
+      if (!isFinite(minWait)) {
+        return this._finishWaiter(id, waiter, new errors.WaitUnsatisfiableError(waiter.params.count || 1));
+      }
+
+      waiter.delayed = true;
+      waiter.retry = setTimeout(() => this._nextWaiter(id), Math.min(minWait, MAX_TIMEOUT));
+    });
+  }
+
+  /**
+   * Rejects a waiter. When the waiter is taking the tokens it is rejected
+   * only if the take is not conformant.
+   */
+  _cancelWaiter(id, waiter, err) {
+    if (waiter.inFlight) {
+      waiter.cancelled = err;
+      return;
+    }
+    this._finishWaiter(id, waiter, err);
+  }
+
+  _finishWaiter(id, waiter, err, result) {
+    if (waiter.finished) {
+      return;
+    }
+
+    waiter.finished = true;
+    clearTimeout(waiter.timeout);
+    clearTimeout(waiter.retry);
+
+    if (waiter.onAbort) {
+      waiter.params.signal.removeEventListener('abort', waiter.onAbort);
+    }
+
+    const queue = this._waiters[id];
+    const index = queue.indexOf(waiter);
+
+    queue.splice(index, 1);
+
+    waiter.callback(err, result);
+
+    if (index === 0) {
+      this._nextWaiter(id);
+    }
+  }
+
+  /**
+   * Retries the first waiter of the bucket right away,
+   * used when tokens are given back before they were expected.
+   * A depleted bucket may have recovered too.
+   */
+  _wakeWaiters(type, key) {
+    const queue = this._waiters[`${type}\u0000${key}`];
+
+    this._checkRecovered(type, key);
+
+    if (queue && queue.length > 0 && !queue[0].inFlight) {
+      this._nextWaiter(`${type}\u0000${key}`);
+    }
+  }
+
+  /**
+   * Emits the nonconformant event of a take and the depleted event
+   * when the take leaves the bucket empty.
+   */
+  _emitTakeEvents(type, typeParams, key, count, result) {
+    const override = overrideName(type, typeParams);
+
+    if (!result.conformant && this.listenerCount('nonconformant') > 0 && this._sampleEvent(type, key)) {
+      this.emit('nonconformant', {
+        type:      type.name,
+        key,
+        count,
+        remaining: result.remaining,
+        limit:     result.limit,
+        reset:     result.reset,
+        override
+      });
+    }
+
+    const id = `${type.name}\u0000${key}`;
+
+    if (result.remaining !== 0 || typeParams.denied || this._depleted[id] ||
+        this.listenerCount('depleted') + this.listenerCount('recovered') === 0) {
+      return;
+    }
+
+    this.emit('depleted', {
+      type:  type.name,
+      key,
+      limit: result.limit,
+      reset: result.reset,
+      override
+    });
+
+    this._scheduleRecovery(type.name, key, result.reset);
+  }
+
+  /**
+   * Applies the sampling and the debounce of the type to the nonconformant events.
+   */
+  _sampleEvent(type, key) {
+    const options = type.events;
+
+    if (typeof options.sampleRate === 'number' && Math.random() >= options.sampleRate) {
+      return false;
+    }
+
+    if (type.eventsDebounce) {
+      if (type.eventsDebounce.get(key)) {
+        return false;
+      }
+      type.eventsDebounce.set(key, true);
+    }
+
+    return true;
+  }
+
+  /**
+   * Checks if the depleted bucket is full when it is expected to be.
+   */
+  _scheduleRecovery(typeName, key, reset) {
+    const id = `${typeName}\u0000${key}`;
+
+    clearTimeout(this._depleted[id]);
+
+    //buckets that don't refill only recover when the tokens are put back.
+    if (!reset || !isFinite(reset)) {
+      this._depleted[id] = true;
+      return;
+    }
+
+    this._depleted[id] = setTimeout(() => {
+      this._checkRecovered(typeName, key);
+    }, Math.min(Math.max(reset * 1000 - Date.now(), 10), MAX_TIMEOUT));
+
+    this._depleted[id].unref();
+  }
+
+  /**
+   * Emits the recovered event if the depleted bucket is full again,
+   * otherwise checks again when it is expected to be full.
+   */
+  _checkRecovered(typeName, key) {
+    const id = `${typeName}\u0000${key}`;
+    const type = this._types[typeName];
+
+    if (!this._depleted[id]) {
+      return;
+    }
+
+    clearTimeout(this._depleted[id]);
+
+    if (!type || this.state !== 'ready') {
+      delete this._depleted[id];
+      return;
+    }
+
+    const typeParams = this._getTypeParams(type, key);
+    const algorithm = algorithms[typeParams.algorithm];
+
+    type.db.get(key, (err, bucket) => {
+      //another check emitted the event already.
+      if (!this._depleted[id]) {
+        return;
+      }
+
+      if (err && err.name !== 'NotFoundError') {
+        delete this._depleted[id];
+        return;
+      }
+
+      bucket = dripBucket(bucket, typeParams);
+
+      if (algorithm.remaining(bucket, typeParams) < typeParams.size) {
+        return this._scheduleRecovery(typeName, key, algorithm.reset(bucket, typeParams));
+      }
+
+      delete this._depleted[id];
+
+      this.emit('recovered', {
+        type:     typeName,
+        key,
+        limit:    typeParams.size,
+        override: overrideName(type, typeParams)
+      });
+    });
+  }
+
+  /**
+   * Put N elements in the bucket.
+   *
+   * @param {putParams} params - The params for take.
+   * @param {function(Error, putResult)} [callback]
+   * @returns {Promise.<putResult>|undefined} A promise when callback is omitted.
+   */
+  put(params, callback) {
+    if (!callback) {
+      return fromCallback(cb => this.put(params, cb));
+    }
+
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.put(params, cb), callback);
+    }
+
+    if (this._readOnly) {
+      return setImmediate(callback, new errors.ReadOnlyError());
+    }
+
+    if (typeof params !== 'object') {
+      params = {};
+    }
+
+    if (typeof params.type !== 'string') {
+      return setImmediate(callback, new Error('type is required'));
+    }
+
+    const type = this._types[params.type];
+
+    if (typeof type === 'undefined') {
+      return setImmediate(callback, new Error(`undefined bucket type ${params.type}`));
+    }
+
+    if (typeof params.key !== 'string') {
+      return setImmediate(callback, new Error('key is required'));
+    }
+
+    //only the tokens given back are put in the parents, resetting a key doesn't refill them.
+    if (typeof params.count !== 'undefined' && !params.all) {
+      callback = this._withParent('put', type, params, callback);
+    }
+
+    const typeParams = this._getTypeParams(type, params.key);
+
+    this._metrics.put(type.name, overrideName(type, typeParams));
+
+    if (typeParams.unlimited) {
+      return setImmediate(callback, null, {
+        remaining: typeParams.size,
+        reset: Math.ceil(Date.now() / 1000),
+        limit: typeParams.size
+      });
+    }
+
+    if (typeParams.denied) {
+      return setImmediate(callback, null, _.omit(deniedResult(), 'conformant'));
+    }
+
+    const algorithm = algorithms[typeParams.algorithm];
+    var result;
+
+    const toResult = (bucket) => {
+      bucket = bucket || algorithm.create(typeParams);
+      return {
+        remaining:  Math.floor(algorithm.remaining(bucket, typeParams)),
+        reset:      algorithm.reset(bucket, typeParams),
+        limit:      typeParams.size
+      };
+    };
+
+    const finish = (err) => {
+      if (err) {
+        return callback(err);
+      }
+      this._wakeWaiters(params.type, params.key);
+      callback(null, result || toResult());
+    };
+
+    if (params.all ||
+        typeof params.count === 'undefined' ||
+        params.count >= typeParams.size) {
+      //We are going to reset the bucket entirely to its default state
+      //this is a short circuit
+      return type.db.del(params.key, (err) => {
+        //ignore the error, example key is missing.
+        finish();
+      });
+    }
+
+    const count = params.count || typeParams.size;
+
+    type.db.gms(params.key, bucket => {
+      bucket = algorithm.put(readBucket(bucket, typeParams), typeParams, count);
+      result = toResult(bucket);
+
+      // Storage optimization: if the bucket is full we can remove it from DB.
+      // this partially fixes an issue causing us to collect items in DB indefinitelly
+      // those items in general exceed the existing limit of 100 items
+      // we return when calling bucket status
+      // console.dir(bucket);
+      return tagBucket(bucket, typeParams);
+    }, { ttl: getTTL(typeParams) }, finish);
+  }
+
+  /**
+   * Release a lease acquired with take on a concurrency bucket.
+   *
+   * @param {releaseParams} params - The params for release.
+   * @param {function(Error, releaseResult)} [callback]
+   * @returns {Promise.<releaseResult>|undefined} A promise when callback is omitted.
+   */
+  release(params, callback) {
+    if (!callback) {
+      return fromCallback(cb => this.release(params, cb));
+    }
+
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.release(params, cb), callback);
+    }
+
+    if (this._readOnly) {
+      return setImmediate(callback, new errors.ReadOnlyError());
+    }
+
+    if (typeof params !== 'object') {
+      params = {};
+    }
+
+    if (typeof params.type !== 'string') {
+      return setImmediate(callback, new Error('type is required'));
+    }
+
+    const type = this._types[params.type];
+
+    if (typeof type === 'undefined') {
+      return setImmediate(callback, new Error(`undefined bucket type ${params.type}`));
+    }
+
+    if (typeof params.key !== 'string') {
+      return setImmediate(callback, new Error('key is required'));
+    }
+
+    if (typeof params.lease !== 'string') {
+      return setImmediate(callback, new Error('lease is required'));
+    }
+
+    const typeParams = this._getTypeParams(type, params.key);
+    const algorithm = algorithms[typeParams.algorithm];
+
+    if (!algorithm.release) {
+      return setImmediate(callback, new Error(`bucket type ${params.type} does not use leases`));
+    }
+
+    var result;
+
+    type.db.gms(params.key, (bucket) => {
+      bucket = dripBucket(bucket, typeParams);
+
+      result = {
+        released:  algorithm.release(bucket, params.lease),
+        remaining: Math.floor(algorithm.remaining(bucket, typeParams)),
+        reset:     algorithm.reset(bucket, typeParams),
+        limit:     typeParams.size
+      };
+
+      //remove the bucket from the storage once all leases are released.
+      return algorithm.isFull(bucket, typeParams) ? undefined : tagBucket(bucket, typeParams);
+    }, { ttl: getTTL(typeParams) }, (err) => {
+      if (err) { return callback(err); }
+      if (result.released) {
+        this._wakeWaiters(params.type, params.key);
+      }
+      callback(null, result);
+    });
+  }
+
+  /**
+   * Removes a bucket from the database, the next take starts with a full bucket.
+   *
+   * @param {delParams} params - The type and the key of the bucket.
+   * @param {function(Error)} [callback]
+   * @returns {Promise|undefined} A promise when callback is omitted.
+   */
+  del(params, callback) {
+    if (!callback) {
+      return fromCallback(cb => this.del(params, cb));
+    }
+
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.del(params, cb), callback);
+    }
+
+    if (this._readOnly) {
+      return setImmediate(callback, new errors.ReadOnlyError());
+    }
+
+    if (typeof params !== 'object') {
+      params = {};
+    }
+
+    if (typeof params.type !== 'string') {
+      return setImmediate(callback, new Error('type is required'));
+    }
+
+    const type = this._types[params.type];
+
+    if (typeof type === 'undefined') {
+      return setImmediate(callback, new Error(`undefined bucket type ${params.type}`));
+    }
+
+    if (typeof params.key !== 'string') {
+      return setImmediate(callback, new Error('key is required'));
+    }
+
+    type.db.lock(params.key, (release) => {
+      type.db.del(params.key, (err) => {
+        release();
+        if (err && err.name !== 'NotFoundError') {
+          return callback(err);
+        }
+        this._wakeWaiters(params.type, params.key);
+        callback();
+      });
+    });
+  }
+
+  /**
+   * Resets every bucket of the type with the given prefix, or whose
+   * key matches the regular expression, as `put` without count does.
+   * Buckets are processed in batches and locked while they are reset,
+   * so it is safe to run while the buckets are in use.
+   *
+   * @param {bulkParams} params - The buckets to reset.
+   * @param {function(Error, resetPrefixResult)} [callback]
+   * @returns {Promise.<resetPrefixResult>|undefined} A promise when callback is omitted.
+   */
+  resetPrefix(params, callback) {
+    if (!callback) {
+      return fromCallback(cb => this.resetPrefix(params, cb));
+    }
+
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.resetPrefix(params, cb), callback);
+    }
+
+    if (this._readOnly) {
+      return setImmediate(callback, new errors.ReadOnlyError());
+    }
+
+    this._removeBuckets(params, (err, count) => {
+      if (err) { return callback(err); }
+      callback(null, { reset: count });
+    });
+  }
+
+  /**
+   * Removes every bucket of the type with the given prefix, or whose
+   * key matches the regular expression.
+   *
+   * @param {bulkParams} params - The buckets to remove.
+   * @param {function(Error, deletePrefixResult)} [callback]
+   * @returns {Promise.<deletePrefixResult>|undefined} A promise when callback is omitted.
+   */
+  deletePrefix(params, callback) {
+    if (!callback) {
+      return fromCallback(cb => this.deletePrefix(params, cb));
+    }
+
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.deletePrefix(params, cb), callback);
+    }
+
+    if (this._readOnly) {
+      return setImmediate(callback, new errors.ReadOnlyError());
+    }
+
+    this._removeBuckets(params, (err, count) => {
+      if (err) { return callback(err); }
+      callback(null, { deleted: count });
+    });
+  }
+
+  /**
+   * Scans the keys with the prefix and removes them in batches.
+   * Every batch is locked, in the same order as takeMany, so the
+   * operations queued in gms are applied before or after the batch.
+   */
+  _removeBuckets(params, callback) {
+    if (typeof params !== 'object' || params === null) {
+      params = {};
+    }
+
+    if (typeof params.type !== 'string') {
+      return setImmediate(callback, new Error('type is required'));
+    }
+
+    const type = this._types[params.type];
+
+    if (typeof type === 'undefined') {
+      return setImmediate(callback, new Error(`undefined bucket type ${params.type}`));
+    }
+
+    if (typeof params.prefix !== 'string' && !params.match) {
+      return setImmediate(callback, new Error('prefix or match is required'));
+    }
+
+    var match;
+
+    try {
+      match = params.match && matchRegExp(params.match);
+    } catch (err) {
+      return setImmediate(callback, new Error('match must be a regular expression'));
+    }
+
+    const prefix = params.prefix || '';
+    const source = type.db.createReadStream({ gte: prefix });
+    var keys = [];
+    var count = 0;
+
+    const removeKeys = (done) => {
+      const batch = keys.sort();
+      const releases = [];
+      keys = [];
+
+      if (batch.length === 0) {
+        return done();
+      }
+
+      async.eachSeries(batch, (key, next) => {
+        type.db.lock(key, (release) => {
+          releases.push(release);
+          next();
+        });
+      }, () => {
+        type.db.batch(batch.map(key => ({ type: 'del', key })), (err) => {
+          releases.forEach(release => release());
+          if (err) { return done(err); }
+          count += batch.length;
+          batch.forEach(key => this._wakeWaiters(params.type, key));
+          done();
+        });
+      });
+    };
+
+    const finish = _.once((err) => {
+      if (err) {
+        source.destroy();
+        return callback(err);
+      }
+      removeKeys(err => err ? callback(err) : callback(null, count));
+    });
+
+    source.on('data', data => {
+      //keys are sorted, the buckets with the prefix are over.
+      if (!_.startsWith(data.key, prefix)) {
+        source.destroy();
+        return finish();
+      }
+
+      if (match && !match.test(data.key)) {
+        return;
+      }
+
+      keys.push(data.key);
+
+      if (keys.length >= BULK_BATCH_SIZE) {
+        source.pause();
+        removeKeys(err => err ? finish(err) : source.resume());
+      }
+    }).once('end', () => finish()).once('error', finish);
+  }
+
+  /**
+   * Gets a single key:value by key
+   *
+   * @param {statusParams} params - The params for take.
+   * @param {function(Error, getResult)} [callback]
+   * @returns {Promise.<getResult>|undefined} A promise when callback is omitted.
+   */
+  get(params, callback) {
+    if (!callback) {
+      return fromCallback(cb => this.get(params, cb));
+    }
+
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.get(params, cb), callback);
+    }
+
+    if (typeof params !== 'object') {
+      return setImmediate(callback, new Error('params is required'));
+    }
+
+    if (typeof params.type !== 'string') {
+      return setImmediate(callback, new Error('type is required'));
+    }
+
+    if (typeof params.key !== 'string') {
+      return setImmediate(callback, new Error('key is required'));
+    }
+
+    const type = this._types[params.type];
+
+    if (typeof type === 'undefined') {
+      return setImmediate(callback, new Error(`undefined bucket type ${params.type}`));
+    }
+
+    callback = this._withParent('get', type, params, callback);
+
+    const typeParams = this._getTypeParams(type, params.key);
+
+    if (typeParams.denied) {
+      return setImmediate(callback, null, _.omit(deniedResult(), 'conformant'));
+    }
+
+    const algorithm = algorithms[typeParams.algorithm];
+
+    type.db.get(params.key, (err, value) => {
+      const bucket = dripBucket(value, typeParams);
+
+      callback(null, {
+        remaining:  Math.floor(algorithm.remaining(bucket, typeParams)),
+        reset: algorithm.reset(bucket, typeParams),
+        limit: typeParams.size
+      });
+    });
+  }
+
+
+  /**
+   * Get the status of the buckets with the given prefix, a page at a time.
+   * Full buckets are skipped unless `includeFull` is set.
+   *
+   * @param {statusParams} params - The params for status.
+   * @param {function(Error, statusResult)} [callback]
+   * @returns {Promise.<statusResult>|undefined} A promise when callback is omitted.
+   */
+  status(params, callback) {
+    if (!callback) {
+      return fromCallback(cb => this.status(params, cb));
+    }
+
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.status(params, cb), callback);
+    }
+
+    const err = this._validateStatusParams(params);
+
+    if (err) {
+      return setImmediate(callback, err);
+    }
+
+    const limit = params.limit || DEFAULT_STATUS_LIMIT;
+    const items = [];
+    const finish = _.once(callback);
+
+    //reads one more item than the limit to know if there is another page.
+    const stream = this.statusStream(params);
+
+    stream.on('data', item => {
+      if (items.length === limit) {
+        stream.destroy();
+        return finish(null, { items, nextCursor: encodeCursor(_.last(items).key) });
+      }
+      items.push(item);
+    }).once('end', () => {
+      finish(null, { items, nextCursor: null });
+    }).once('error', finish);
+  }
+
+  /**
+   * Returns an object mode stream with the status of every bucket
+   * with the given prefix. The stream is also an async iterator:
+   *
+   *   for await (const item of limitdb.statusStream({ type: 'ip', prefix: '10.' })) {}
+   *
+   * `limit` is ignored, errors are emitted on the stream.
+   *
+   * @param {statusParams} params - The params for status.
+   * @returns {stream.Readable} A stream of statusItem.
+   */
+  statusStream(params) {
+    var source;
+    var ended = false;
+
+    const stream = new Readable({
+      objectMode: true,
+      read: () => {
+        if (source) {
+          source.resume();
+        }
+      },
+      destroy: (err, cb) => {
+        ended = true;
+        if (source) {
+          source.destroy();
+        }
+        cb(err);
+      }
+    });
+
+    const end = () => {
+      if (ended) { return; }
+      ended = true;
+      stream.push(null);
+    };
+
+    const start = (err) => {
+      if (ended) { return; }
+
+      err = err || this._validateStatusParams(params);
+
+      if (err) {
+        return stream.destroy(err);
+      }
+
+      const type = this._types[params.type];
+
+      //the penalties of every type are stored together, prefixed by the type name.
+      const keyPrefix = params.blocked ? `${type.name}\u0000` : '';
+      const db = params.blocked ? this._penaltiesDb : type.db;
+
+      source = db.createReadStream(params.cursor ?
+        { gt: keyPrefix + decodeCursor(params.cursor) } :
+        { gte: keyPrefix + params.prefix });
+
+      source.on('data', data => {
+        if (ended) { return; }
+
+        //keys are sorted, the buckets with the prefix are over.
+        if (!_.startsWith(data.key, keyPrefix + params.prefix)) {
+          source.destroy();
+          return end();
+        }
+
+        if (!data.value) { return; }
+
+        const key = data.key.slice(keyPrefix.length);
+        const item = params.blocked ?
+          this._blockedItem(type, key, data.value) :
+          this._bucketItem(type, key, data.value, params.includeFull);
+
+        if (!item) { return; }
+
+        if (!stream.push(item)) {
+          source.pause();
+        }
+      }).once('end', end).once('error', err => {
+        if (!ended) {
+          stream.destroy(err);
+        }
+      });
+    };
+
+    if (this.state !== 'ready') {
+      this._defer(cb => cb(), start);
+    } else {
+      setImmediate(start);
+    }
+
+    return stream;
+  }
+
+  /**
+   * The status of a stored bucket, undefined when the bucket is full
+   * and includeFull is not set.
+   */
+  _bucketItem(type, key, value, includeFull) {
+    const typeParams = this._getTypeParams(type, key);
+    const algorithm = algorithms[typeParams.algorithm];
+    const stored = readBucket(value, typeParams);
+
+    //buckets of another algorithm are equivalent to new buckets.
+    if (!includeFull && (!stored || algorithm.isFull(stored, typeParams))) {
+      //we dont care about this.
+      return;
+    }
+
+    const bucket = dripBucket(value, typeParams);
+
+    const item = {
+      remaining: algorithm.remaining(bucket, typeParams),
+      reset:     algorithm.reset(bucket, typeParams),
+      limit:     typeParams.size,
+      key
+    };
+
+    const blockedUntil = this._blocked[`${type.name}\u0000${key}`];
+
+    if (blockedUntil > Date.now()) {
+      item.blockedUntil = Math.ceil(blockedUntil / 1000);
+    }
+
+    return item;
+  }
+
+  /**
+   * The status of a blocked key, undefined when the penalty is over.
+   */
+  _blockedItem(type, key, value) {
+    const record = parseBucket(value);
+
+    if (!record.blockedUntil || record.blockedUntil <= Date.now()) {
+      return;
+    }
+
+    return {
+      remaining:    0,
+      reset:        Math.ceil(record.blockedUntil / 1000),
+      limit:        this._getTypeParams(type, key).size,
+      key,
+      blockedUntil: Math.ceil(record.blockedUntil / 1000),
+      strikes:      record.strikes
+    };
+  }
+
+  _validateStatusParams(params) {
+    if (typeof params !== 'object' || params === null) {
+      return new Error('params is required');
+    }
+
+    if (typeof params.type !== 'string') {
+      return new Error('type is required');
+    }
+
+    if (typeof params.prefix !== 'string') {
+      return new Error('prefix is required');
+    }
+
+    if (typeof this._types[params.type] === 'undefined') {
+      return new Error(`undefined bucket type ${params.type}`);
+    }
+
+    if (typeof params.limit !== 'undefined' && !(_.isInteger(params.limit) && params.limit > 0)) {
+      return new Error('limit must be a positive integer');
+    }
+
+    if (typeof params.cursor !== 'undefined' && params.cursor !== null &&
+        (typeof params.cursor !== 'string' || !_.startsWith(decodeCursor(params.cursor), params.prefix))) {
+      return new Error('invalid cursor');
+    }
+  }
+
+  /**
+   * Writes every bucket to the stream as newline delimited JSON:
+   *
+   *   {"type":"ip","key":"10.0.0.1","value":{"content":7,"lastDrip":1425920267000},"ttl":600}
+   *
+   * where value is the bucket as it is stored and ttl the milliseconds until
+   * the bucket is full again. The stream is not ended.
+   *
+   * @param {stream.Writable} stream The destination of the snapshot.
+   * @param {snapshotOptions} [options]
+   * @param {function(Error, exportSnapshotResult)} [callback]
+   * @returns {Promise.<exportSnapshotResult>|undefined} A promise when callback is omitted.
+   */
+  exportSnapshot(stream, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    if (!callback) {
+      return fromCallback(cb => this.exportSnapshot(stream, options, cb));
+    }
+
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.exportSnapshot(stream, options, cb), callback);
+    }
+
+    const typeNames = (options && options.types) || Object.keys(this._types);
+    const undefinedType = _.find(typeNames, name => !this._types[name]);
+
+    if (undefinedType) {
+      return setImmediate(callback, new Error(`undefined bucket type ${undefinedType}`));
+    }
+
+    var count = 0;
+
+    async.eachSeries(typeNames, (name, done) => {
+      const type = this._types[name];
+      const readStream = type.db.createReadStream();
+
+      const finish = _.once(done);
+
+      readStream.on('data', data => {
+        if (!data.value) { return; }
+
+        const typeParams = this._getTypeParams(type, data.key);
+        const value = readBucket(data.value, typeParams);
+
+        if (!value) { return; }
+
+        const reset = algorithms[typeParams.algorithm].reset(value, typeParams);
+
+        count++;
+
+        const line = JSON.stringify({
+          type:  name,
+          key:   data.key,
+          value: value,
+          ttl:   Math.max(reset * 1000 - Date.now(), 0)
+        });
+
+        if (!stream.write(`${line}\n`)) {
+          readStream.pause();
+          stream.once('drain', () => readStream.resume());
+        }
+      }).once('end', () => finish()).once('error', finish);
+    }, (err) => {
+      if (err) { return callback(err); }
+      callback(null, { exported: count });
+    });
+  }
+
+  /**
+   * Restores the buckets of a snapshot created with exportSnapshot.
+   * The ttl of the buckets is computed again from the current types.
+   *
+   * In `merge` mode (default) the buckets of the snapshot replace the existing
+   * buckets with the same key. In `replace` mode every existing bucket of the
+   * types is removed first. Buckets of undefined types, and buckets of another
+   * algorithm than the one of their type, are skipped.
+   *
+   * @param {stream.Readable} stream The snapshot.
+   * @param {importSnapshotOptions} [options]
+   * @param {function(Error, importSnapshotResult)} [callback]
+   * @returns {Promise.<importSnapshotResult>|undefined} A promise when callback is omitted.
+   */
+  importSnapshot(stream, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    if (!callback) {
+      return fromCallback(cb => this.importSnapshot(stream, options, cb));
+    }
+
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.importSnapshot(stream, options, cb), callback);
+    }
+
+    if (this._readOnly) {
+      return setImmediate(callback, new errors.ReadOnlyError());
+    }
+
+    options = Object.assign({ mode: 'merge' }, options);
+
+    if (options.mode !== 'merge' && options.mode !== 'replace') {
+      return setImmediate(callback, new Error(`unknown mode ${options.mode}`));
+    }
+
+    const typeNames = options.types || Object.keys(this._types);
+    const result = { imported: 0, skipped: 0 };
+    var lineNumber = 0;
+
+    const importLine = (line, done) => {
+      lineNumber++;
+
+      if (line.trim() === '') {
+        return setImmediate(done);
+      }
+
+      var entry;
+
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        return setImmediate(done, new Error(`invalid snapshot line ${lineNumber}: ${err.message}`));
+      }
+
+      const type = this._types[entry.type];
+
+      if (!type || !_.includes(typeNames, entry.type) || typeof entry.key !== 'string' || !entry.value) {
+        result.skipped++;
+        return setImmediate(done);
+      }
+
+      const typeParams = this._getTypeParams(type, entry.key);
+
+      if (!readBucket(entry.value, typeParams)) {
+        result.skipped++;
+        return setImmediate(done);
+      }
+
+      type.db.gms(entry.key, () => entry.value, { ttl: getTTL(typeParams) }, (err) => {
+        if (err) { return done(err); }
+        result.imported++;
+        done();
+      });
+    };
+
+    const readLines = (done) => {
+      const decoder = new StringDecoder('utf8');
+      const finish = _.once(done);
+      var buffer = '';
+      var importing = false;
+      var ended = false;
+
+      const importLast = () => importLine(buffer + decoder.end(), finish);
+
+      stream.on('data', chunk => {
+        const lines = (buffer + decoder.write(chunk)).split('\n');
+        buffer = lines.pop();
+        importing = true;
+        stream.pause();
+        async.eachSeries(lines, importLine, (err) => {
+          importing = false;
+          if (err) {
+            stream.destroy();
+            return finish(err);
+          }
+          if (ended) {
+            return importLast();
+          }
+          stream.resume();
+        });
+      }).once('end', () => {
+        //end can be emitted while the lines of the last chunk are imported.
+        ended = true;
+        if (!importing) {
+          importLast();
+        }
+      }).once('error', finish);
+    };
+
+    const clear = (done) => {
+      if (options.mode !== 'replace') {
+        return done();
+      }
+      async.eachSeries(typeNames, (name, next) => this._clearType(name, next), done);
+    };
+
+    clear((err) => {
+      if (err) { return callback(err); }
+      readLines((err) => {
+        if (err) { return callback(err); }
+        callback(null, result);
+      });
+    });
+  }
+
+  /**
+   * Removes every bucket of the type.
+   */
+  _clearType(name, callback) {
+    const type = this._types[name];
+    const keys = [];
+
+    if (!type) {
+      return setImmediate(callback, new Error(`undefined bucket type ${name}`));
+    }
+
+    type.db.createReadStream()
+      .on('data', data => keys.push(data.key))
+      .once('error', callback)
+      .once('end', () => {
+        if (keys.length === 0) {
+          return callback();
+        }
+        type.db.batch(keys.map(key => ({ type: 'del', key })), callback);
+      });
+  }
+
+  /**
+   * Sets an override for a key or for the keys matching a regular expression.
+   * The override is stored in the database and replaces any existing
+   * runtime override for the same key or match.
+   *
+   * @param {overrideParams} params - The override.
+   * @param {function(Error)} [callback]
+   * @returns {Promise|undefined} A promise when callback is omitted.
+   */
+  setOverride(params, callback) {
+    if (!callback) {
+      return fromCallback(cb => this.setOverride(params, cb));
+    }
+
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.setOverride(params, cb), callback);
+    }
+
+    if (this._readOnly) {
+      return setImmediate(callback, new errors.ReadOnlyError());
+    }
+
+    if (typeof params !== 'object') {
+      params = {};
+    }
+
+    if (typeof params.type !== 'string') {
+      return setImmediate(callback, new Error('type is required'));
+    }
+
+    const type = this._types[params.type];
+
+    if (typeof type === 'undefined') {
+      return setImmediate(callback, new Error(`undefined bucket type ${params.type}`));
+    }
+
+    if (typeof params.key !== 'string' && !params.match) {
+      return setImmediate(callback, new Error('key or match is required'));
+    }
+
+    var match;
+
+    try {
+      match = params.match && matchRegExp(params.match);
+    } catch (err) {
+      return setImmediate(callback, err);
+    }
+
+    const record = {
+      type:   params.type,
+      key:    match ? undefined : params.key,
+      match:  match ? { source: match.source, flags: match.flags } : undefined,
+      limits: _.omit(params, ['type', 'key', 'match'])
+    };
+
+    const problems = validation.validateOverride(record.limits,
+      `types.${params.type}.overrides.${match || params.key}`, type.algorithm);
+
+    if (problems.length > 0) {
+      return setImmediate(callback, new errors.InvalidTypesError(problems));
+    }
+
+    try {
+      normalizeRuntimeOverride(type, record);
+    } catch (err) {
+      return setImmediate(callback, err);
+    }
+
+    const id = overrideId(params.type, { key: params.key, match });
+
+    this._overridesDb.put(id, record, (err) => {
+      if (err) { return callback(err); }
+      this._runtimeOverrides[id] = JSON.parse(JSON.stringify(record));
+      this._invalidateOverride(params.type, record);
+      callback();
+    });
+  }
+
+  /**
+   * Removes a runtime override.
+   *
+   * @param {overrideParams} params - The type and the key or match of the override.
+   * @param {function(Error, removeOverrideResult)} [callback]
+   * @returns {Promise.<removeOverrideResult>|undefined} A promise when callback is omitted.
+   */
+  removeOverride(params, callback) {
+    if (!callback) {
+      return fromCallback(cb => this.removeOverride(params, cb));
+    }
+
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.removeOverride(params, cb), callback);
+    }
+
+    if (this._readOnly) {
+      return setImmediate(callback, new errors.ReadOnlyError());
+    }
+
+    if (typeof params !== 'object') {
+      params = {};
+    }
+
+    if (typeof params.type !== 'string') {
+      return setImmediate(callback, new Error('type is required'));
+    }
+
+    if (typeof params.key !== 'string' && !params.match) {
+      return setImmediate(callback, new Error('key or match is required'));
+    }
+
+    var match;
+
+    try {
+      match = params.match && matchRegExp(params.match);
+    } catch (err) {
+      return setImmediate(callback, err);
+    }
+
+    const id = overrideId(params.type, { key: params.key, match });
+    const record = this._runtimeOverrides[id];
+
+    if (!record) {
+      return setImmediate(callback, null, { removed: false });
+    }
+
+    this._overridesDb.del(id, (err) => {
+      if (err) { return callback(err); }
+      delete this._runtimeOverrides[id];
+      this._invalidateOverride(params.type, record);
+      callback(null, { removed: true });
+    });
+  }
+
+  /**
+   * Blocks a key of the type for a number of milliseconds. Takes on
+   * the key are not conformant and waits are delayed until it is unblocked.
+   *
+   * @param {banParams} params - The key to block.
+   * @param {function(Error, banResult)} [callback]
+   * @returns {Promise.<banResult>|undefined} A promise when callback is omitted.
+   */
+  ban(params, callback) {
+    if (!callback) {
+      return fromCallback(cb => this.ban(params, cb));
+    }
+
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.ban(params, cb), callback);
+    }
+
+    if (this._readOnly) {
+      return setImmediate(callback, new errors.ReadOnlyError());
+    }
+
+    if (typeof params !== 'object') {
+      params = {};
+    }
+
+    if (typeof params.type !== 'string') {
+      return setImmediate(callback, new Error('type is required'));
+    }
+
+    const type = this._types[params.type];
+
+    if (typeof type === 'undefined') {
+      return setImmediate(callback, new Error(`undefined bucket type ${params.type}`));
+    }
+
+    if (typeof params.key !== 'string') {
+      return setImmediate(callback, new Error('key is required'));
+    }
+
+    if (typeof params.duration !== 'number' || isNaN(params.duration) || params.duration <= 0) {
+      return setImmediate(callback, new Error('duration must be a positive number'));
+    }
 
+    this._updatePenalty(type, params.key, (record, now) => {
+      record.violations = [];
+      record.blockedUntil = now + params.duration;
+      return record;
+    }, (err, record) => {
+      if (err) { return callback(err); }
+      callback(null, { blockedUntil: Math.ceil(record.blockedUntil / 1000) });
+    });
+  }
 
   /**
-   * Take N elements from a bucket if available.
+   * Unblocks a key and forgets its violations.
    *
-   * @param {takeParams} params - The params for take.
-   * @param {function(Error, takeResult)} callback - The callback to call
+   * @param {unbanParams} params - The key to unblock.
+   * @param {function(Error, unbanResult)} [callback]
+   * @returns {Promise.<unbanResult>|undefined} A promise when callback is omitted.
    */
-  take(params, callback) {
+  unban(params, callback) {
+    if (!callback) {
+      return fromCallback(cb => this.unban(params, cb));
+    }
+
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.unban(params, cb), callback);
+    }
+
+    if (this._readOnly) {
+      return setImmediate(callback, new errors.ReadOnlyError());
+    }
+
     if (typeof params !== 'object') {
       params = {};
     }
@@ -246,9 +2700,7 @@ class LimitDB extends EventEmitter {
       return setImmediate(callback, new Error('type is required'));
     }
 
-    const type = this._types[params.type];
-
-    if (typeof type === 'undefined') {
+    if (typeof this._types[params.type] === 'undefined') {
       return setImmediate(callback, new Error(`undefined bucket type ${params.type}`));
     }
 
@@ -256,315 +2708,417 @@ class LimitDB extends EventEmitter {
       return setImmediate(callback, new Error('key is required'));
     }
 
-    const typeParams = this._getTypeParams(type, params.key);
+    const id = `${params.type}\u0000${params.key}`;
 
-    const count = params.count || 1;
+    this._penaltiesDb.lock(id, (release) => {
+      this._penaltiesDb.del(id, (err) => {
+        release();
 
-    if (typeParams.unlimited) {
-      return setImmediate(callback, null, {
-        conformant: true,
-        remaining: typeParams.size,
-        reset: Math.ceil(Date.now() / 1000),
-        limit: typeParams.size
+        if (err && err.name !== 'NotFoundError') {
+          return callback(err);
+        }
+
+        const unbanned = this._blocked[id] > Date.now();
+
+        delete this._blocked[id];
+        this._wakeWaiters(params.type, params.key);
+        callback(null, { unbanned });
       });
+    });
+  }
+
+  _loadPenalties(callback) {
+    const now = Date.now();
+
+    this._penaltiesDb.createReadStream()
+      .on('data', data => {
+        const record = parseBucket(data.value);
+        if (record.blockedUntil > now) {
+          this._blocked[data.key] = record.blockedUntil;
+        }
+      })
+      .once('error', callback)
+      .once('end', () => callback());
+  }
+
+  /**
+   * The result of a take on a blocked key, undefined when the key is not blocked.
+   */
+  _blockedResult(type, typeParams, key) {
+    const id = `${type.name}\u0000${key}`;
+    const blockedUntil = this._blocked[id];
+    const now = Date.now();
+
+    if (!blockedUntil) {
+      return;
     }
 
-    type.db.gms(params.key, (bucket) => {
-      if (bucket && typeof bucket === 'string') {
-        bucket = JSON.parse(bucket);
-      }
+    if (blockedUntil <= now) {
+      delete this._blocked[id];
+      return;
+    }
+
+    return {
+      conformant:   false,
+      remaining:    0,
+      reset:        Math.ceil(blockedUntil / 1000),
+      limit:        typeParams.size,
+      blockedUntil: Math.ceil(blockedUntil / 1000),
+      retryAfter:   blockedUntil - now
+    };
+  }
+
+  /**
+   * Counts a non conformant take of a type with penalty and blocks the key
+   * once it reaches the number of violations within the window.
+   * Calls back with the time the key is blocked until, if it is.
+   */
+  _recordViolation(type, key, callback) {
+    const penalty = type.penalty;
 
-      bucket = bucket ? this._drip(bucket, typeParams) : this._getFullBucket(typeParams);
+    this._updatePenalty(type, key, (record, now) => {
+      //a take that was in flight when the key got blocked.
+      if (record.blockedUntil > now) {
+        return record;
+      }
 
-      //this happen when we scale down a bucket
-      //imagine the size was 10 and the current content is 9.
-      //then we scale down the bucket to 6...
-      //The current content should be computed as 6, not 9.
-      bucket.content = Math.min(typeParams.size, bucket.content);
-      bucket.size = typeParams.size;
+      record.violations = record.violations
+        .filter(timestamp => timestamp > now - penalty.window)
+        .concat(now);
 
-      if (bucket.content >= count) {
-        bucket.lastConformant = true;
-        bucket.content -= count;
-      } else {
-        bucket.lastConformant = false;
+      if (record.violations.length >= penalty.violations) {
+        const duration = penalty.duration * Math.pow(penalty.backoff, record.strikes);
+        record.violations = [];
+        record.blockedUntil = now + Math.min(duration, penalty.maxDuration);
+        record.strikes++;
       }
 
-      bucket.reset = this._getResetTimestamp(bucket, typeParams);
-      return bucket;
-    }, { ttl: typeParams.ttl }, (err, bucket) => {
+      return record;
+    }, (err, record) => {
       if (err) { return callback(err); }
-      callback(null, {
-        conformant: bucket.lastConformant,
-        remaining:  Math.floor(bucket.content),
-        reset:      bucket.reset,
-        limit:      typeParams.size
-      });
+      callback(null, record.blockedUntil > Date.now() ? Math.ceil(record.blockedUntil / 1000) : undefined);
     });
   }
 
   /**
-   * Take N elements from a bucket if available otherwise wait for them.
-   * The callback is called when the number of request tokens is available.
+   * Updates the penalty record of the key, stored as
+   * { type, key, violations, blockedUntil, strikes }.
    *
-   * @param {waitParams} params - The params for take.
-   * @param {function(Error, waitResult)} callback
+   * The record is kept while the key is blocked and for the window
+   * or the duration of the penalty afterwards, so repeated offenders
+   * are blocked for longer.
    */
-  wait(params, callback) {
-    if (typeof params !== 'object') {
-      params = {};
-    }
-
-    if (typeof params.type !== 'string') {
-      return setImmediate(callback, new Error('type is required'));
-    }
+  _updatePenalty(type, key, update, callback) {
+    const id = `${type.name}\u0000${key}`;
+    const penalty = type.penalty;
 
-    const type = this._types[params.type];
+    this._penaltiesDb.lock(id, (release) => {
+      this._penaltiesDb.get(id, (err, record) => {
+        if (err && err.name !== 'NotFoundError') {
+          release();
+          return callback(err);
+        }
 
-    if (typeof type === 'undefined') {
-      return setImmediate(callback, new Error(`undefined bucket type ${params.type}`));
-    }
+        const now = Date.now();
 
-    if (typeof params.key !== 'string') {
-      return setImmediate(callback, new Error('key is required'));
-    }
+        record = update(parseBucket(record) || {
+          type:       type.name,
+          key,
+          violations: [],
+          strikes:    0
+        }, now);
 
-    const typeParams = this._getTypeParams(type, params.key);
+        const blocked = Math.max((record.blockedUntil || 0) - now, 0);
+        const ttl = blocked + (penalty ? Math.max(penalty.window, penalty.duration) : 0);
 
-    const count = params.count || 1;
+        this._penaltiesDb.put(id, record, { ttl }, (err) => {
+          release();
 
-    this.take(params, (err, result) => {
-      if (err) { return callback(err); }
-      if (result.conformant) { return callback(null, result); }
-      const required = count - result.remaining;
-      const minWait = Math.ceil(required * typeParams.interval / typeParams.per_interval);
-      return setTimeout(() => {
-        this.wait(params, (err, result) => {
           if (err) { return callback(err); }
-          result.delayed = true;
-          callback(null, result);
+
+          if (record.blockedUntil > now) {
+            this._blocked[id] = record.blockedUntil;
+          }
+
+          callback(null, record);
         });
-      }, minWait);
+      });
     });
   }
 
   /**
-   * Put N elements in the bucket.
+   * Lists the runtime overrides.
    *
-   * @param {putParams} params - The params for take.
-   * @param {function(Error, putResult)} [callback]
+   * @param {listOverridesParams} [params] - Optionally filter the overrides of a type.
+   * @param {function(Error, Array.<overrideParams>)} [callback]
+   * @returns {Promise.<Array.<overrideParams>>|undefined} A promise when callback is omitted.
    */
-  put(params, callback) {
-    callback = callback || _.noop;
-    if (typeof params !== 'object') {
+  listOverrides(params, callback) {
+    if (typeof params === 'function') {
+      callback = params;
       params = {};
     }
 
-    if (typeof params.type !== 'string') {
-      return setImmediate(callback, new Error('type is required'));
+    if (!callback) {
+      return fromCallback(cb => this.listOverrides(params, cb));
     }
 
-    const type = this._types[params.type];
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.listOverrides(params, cb), callback);
+    }
 
-    if (typeof type === 'undefined') {
-      return setImmediate(callback, new Error(`undefined bucket type ${params.type}`));
+    params = params || {};
+
+    const overrides = _(this._runtimeOverrides)
+      .filter(record => !params.type || record.type === params.type)
+      .map(record => Object.assign({
+        type:  record.type,
+        key:   record.key,
+        match: record.match && matchRegExp(record.match)
+      }, record.limits))
+      .map(override => _.omitBy(override, _.isUndefined))
+      .value();
+
+    setImmediate(callback, null, overrides);
+  }
+
+  _invalidateOverride(typeName, record) {
+    const type = this._types[typeName];
+
+    if (!type) {
+      return;
     }
 
-    if (typeof params.key !== 'string') {
-      return setImmediate(callback, new Error('key is required'));
+    this._applyRuntimeOverrides(type, typeName);
+
+    if (record.match) {
+      type.overridesCache.reset();
+    } else {
+      type.overridesCache.del(record.key);
     }
+  }
 
-    const typeParams = this._getTypeParams(type, params.key);
+  /**
+   * Adds a key, a regular expression or a CIDR range to the allow
+   * or the deny list of the type. The entry is stored in the database.
+   *
+   * @param {listEntryParams} params - The entry.
+   * @param {function(Error)} [callback]
+   * @returns {Promise|undefined} A promise when callback is omitted.
+   */
+  addListEntry(params, callback) {
+    if (!callback) {
+      return fromCallback(cb => this.addListEntry(params, cb));
+    }
 
-    if (typeParams.unlimited) {
-      return setImmediate(callback, null, {
-        remaining: typeParams.size,
-        reset: Math.ceil(Date.now() / 1000),
-        limit: typeParams.size
-      });
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.addListEntry(params, cb), callback);
     }
 
-    const finish = (err, bucket) => {
-      if (err) {
-        return callback(err);
-      }
+    if (this._readOnly) {
+      return setImmediate(callback, new errors.ReadOnlyError());
+    }
 
-      bucket = bucket || this._getFullBucket(typeParams);
+    const err = this._validateListEntry(params);
 
-      callback(null, {
-        remaining:  Math.floor(bucket.content),
-        reset:      bucket.reset,
-        limit:      typeParams.size
-      });
-    };
+    if (err) {
+      return setImmediate(callback, err);
+    }
 
-    if (params.all ||
-        typeof params.count === 'undefined' ||
-        params.count >= typeParams.size) {
-      //We are going to reset the bucket entirely to its default state
-      //this is a short circuit
-      return type.db.del(params.key, (err) => {
-        //ignore the error, example key is missing.
-        finish();
-      });
+    if (cidr.isRangeLike(params.key) && !cidr.parseRange(params.key)) {
+      return setImmediate(callback, new Error(`invalid CIDR range ${params.key}`));
     }
 
-    const count = params.count || typeParams.size;
+    var match;
 
-    type.db.gms(params.key, bucket => {
-      if (bucket && typeof bucket === 'string') {
-        bucket = JSON.parse(bucket);
-      }
+    try {
+      match = params.match && matchRegExp(params.match);
+    } catch (err) {
+      return setImmediate(callback, err);
+    }
 
-      bucket = bucket || {
-        lastDrip: Date.now(),
-        content: typeParams.size,
-        size: typeParams.size
-      };
+    const record = {
+      type:  params.type,
+      list:  params.list,
+      key:   match ? undefined : params.key,
+      match: match ? { source: match.source, flags: match.flags } : undefined
+    };
 
-      bucket.content = Math.min(typeParams.size, bucket.content + count);
+    const id = listEntryId(params.type, params.list, { key: params.key, match });
 
-      // Storage optimization: if the bucket is full we can remove it from DB.
-      // this partially fixes an issue causing us to collect items in DB indefinitelly
-      // those items in general exceed the existing limit of 100 items
-      // we return when calling bucket status
-      // console.dir(bucket);
-      return bucket;
-    }, { ttl: typeParams.ttl }, finish);
-	}
+    this._listsDb.put(id, record, (err) => {
+      if (err) { return callback(err); }
+      this._runtimeLists[id] = JSON.parse(JSON.stringify(record));
+      this._invalidateLists(params.type);
+      callback();
+    });
+  }
 
   /**
-   * Gets a single key:value by key
+   * Removes an entry added with addListEntry.
    *
-   * @param {statusParams} params - The params for take.
-   * @param {function(Error, getResult)} [callback]
+   * @param {listEntryParams} params - The type, the list and the key or match of the entry.
+   * @param {function(Error, removeListEntryResult)} [callback]
+   * @returns {Promise.<removeListEntryResult>|undefined} A promise when callback is omitted.
    */
-  get(params, callback) {
-    if (typeof params !== 'object') {
-      return setImmediate(callback, new Error('params is required'));
+  removeListEntry(params, callback) {
+    if (!callback) {
+      return fromCallback(cb => this.removeListEntry(params, cb));
     }
 
-    if (typeof params.type !== 'string') {
-      return setImmediate(callback, new Error('type is required'));
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.removeListEntry(params, cb), callback);
     }
 
-    if (typeof params.key !== 'string') {
-      return setImmediate(callback, new Error('key is required'));
+    if (this._readOnly) {
+      return setImmediate(callback, new errors.ReadOnlyError());
     }
 
-    const type = this._types[params.type];
+    const err = this._validateListEntry(params);
 
-    if (typeof type === 'undefined') {
-      return setImmediate(callback, new Error(`undefined bucket type ${params.type}`));
+    if (err) {
+      return setImmediate(callback, err);
     }
 
-    const typeParams = this._getTypeParams(type, params.key);
+    var match;
 
-    type.db.get(params.key, (err, value) => {
-      if (!value) {
-        value = this._getFullBucket(typeParams);
-      }
+    try {
+      match = params.match && matchRegExp(params.match);
+    } catch (err) {
+      return setImmediate(callback, err);
+    }
 
-      callback(null, {
-        remaining:  Math.floor(value.content),
-        reset: this._getResetTimestamp(value, typeParams),
-        limit: typeParams.size
-      });
+    const id = listEntryId(params.type, params.list, { key: params.key, match });
+
+    if (!this._runtimeLists[id]) {
+      return setImmediate(callback, null, { removed: false });
+    }
+
+    this._listsDb.del(id, (err) => {
+      if (err) { return callback(err); }
+      delete this._runtimeLists[id];
+      this._invalidateLists(params.type);
+      callback(null, { removed: true });
     });
   }
 
-
   /**
-   * Put N elements in the bucket.
+   * Lists the entries added with addListEntry.
    *
-   * @param {statusParams} params - The params for take.
-   * @param {function(Error, statusResult)} [callback]
+   * @param {listOverridesParams} [params] - Optionally filter the entries of a type.
+   * @param {function(Error, Array.<listEntryParams>)} [callback]
+   * @returns {Promise.<Array.<listEntryParams>>|undefined} A promise when callback is omitted.
    */
-  status(params, callback) {
-    if (typeof params !== 'object') {
-      return setImmediate(callback, new Error('params is required'));
+  listEntries(params, callback) {
+    if (typeof params === 'function') {
+      callback = params;
+      params = {};
     }
 
-    if (typeof params.type !== 'string') {
-      return setImmediate(callback, new Error('type is required'));
+    if (!callback) {
+      return fromCallback(cb => this.listEntries(params, cb));
     }
 
-    if (typeof params.prefix !== 'string') {
-      return setImmediate(callback, new Error('prefix is required'));
+    if (this.state !== 'ready') {
+      return this._defer(cb => this.listEntries(params, cb), callback);
     }
 
-    const type = this._types[params.type];
+    params = params || {};
 
-    if (typeof type === 'undefined') {
-      return setImmediate(callback, new Error(`undefined bucket type ${params.type}`));
-    }
+    const entries = _(this._runtimeLists)
+      .filter(record => !params.type || record.type === params.type)
+      .map(record => _.omitBy({
+        type:  record.type,
+        list:  record.list,
+        key:   record.key,
+        match: record.match && matchRegExp(record.match)
+      }, _.isUndefined))
+      .value();
+
+    setImmediate(callback, null, entries);
+  }
 
-    const items = [];
-    var count = 0;
+  _validateListEntry(params) {
+    if (typeof params !== 'object' || params === null) {
+      return new Error('type is required');
+    }
 
-    const readStream = type.db.createReadStream({
-      gte: params.prefix,
-      lte: `${params.prefix}~`,
-    });
+    if (typeof params.type !== 'string') {
+      return new Error('type is required');
+    }
 
-    const finish = () => {
-      callback(null, { items });
-    };
+    if (typeof this._types[params.type] === 'undefined') {
+      return new Error(`undefined bucket type ${params.type}`);
+    }
 
-    readStream.on('data', data => {
-      if (!data.value) return;
-      var bucket;
+    if (!_.includes(LISTS, params.list)) {
+      return new Error('list must be allow or deny');
+    }
 
-      //this is because of an old bug with levelup
-      bucket = typeof data.value === 'string' ?
-                JSON.parse(data.value) :
-                data.value;
+    if (typeof params.key !== 'string' && !params.match) {
+      return new Error('key or match is required');
+    }
+  }
 
-      if (bucket.reset === 0 && bucket.content === bucket.size) {
-        //we dont care about this.
-        return;
-      }
+  _invalidateLists(typeName) {
+    const type = this._types[typeName];
 
-      const typeParams = this._getTypeParams(type, data.key);
+    if (!type) {
+      return;
+    }
 
-      count++;
-      bucket = this._drip(bucket, typeParams);
+    this._applyRuntimeLists(type, typeName);
+    type.overridesCache.reset();
+  }
 
-      items.push({
-        remaining: bucket.content,
-        reset:     this._getResetTimestamp(bucket, typeParams),
-        limit:     typeParams.size,
-        key:       data.key
-      });
+  /**
+   * Returns the statistics of the operations by type.
+   *
+   * @returns {stats}
+   */
+  getStats() {
+    return this._metrics.getStats();
+  }
 
-      if (count === 100) {
-        readStream.destroy();
-        finish();
-      }
-    }).once('end', finish).once('error', (err) => {
-      if (err.message === 'Unexpected token ~') {
-        readStream.destroy();
-        return finish();
-      }
-      callback(null, err);
-    });
+  /**
+   * Returns the statistics in the Prometheus text exposition format.
+   *
+   * @returns {string}
+   */
+  getPrometheusMetrics() {
+    return this._metrics.toPrometheus();
   }
 
   /**
    * Close the database.
    *
    * @param {function(Error)} [callback]
+   * @returns {Promise|undefined} A promise when callback is omitted.
    */
   close(callback) {
-    callback = callback || _.noop;
-    if (this.state === 'opening') {
-      return this.once('ready', () => this.close(callback));
-    } else if(this.state === 'closed') {
-      return setImmediate(callback, new Error('the database is already closed'));
+    if (!callback) {
+      return fromCallback(cb => this.close(cb));
+    }
+
+    if (this.state === 'closed') {
+      return setImmediate(callback, new errors.DatabaseClosedError('the database is already closed'));
+    } else if (this.state !== 'ready') {
+      return this._defer(cb => this.close(cb), callback);
     }
 
     this.state = 'closed';
 
+    this.unwatchTypes();
+
+    _.forEach(this._depleted, timer => clearTimeout(timer));
+    this._depleted = {};
+
+    _.forEach(this._waiters, (queue, id) => {
+      queue.slice().forEach(waiter => {
+        this._cancelWaiter(id, waiter, new errors.DatabaseClosedError());
+      });
+    });
+
     this._db.close(() => {
       this.emit('closed');
       callback();
@@ -583,6 +3137,7 @@ class LimitDB extends EventEmitter {
 
 
 module.exports = LimitDB;
+module.exports.errors = errors;
 
 /**
  * And now some typedefs for you:
@@ -595,30 +3150,84 @@ module.exports = LimitDB;
  * @property {integer} [per_minute] The number of tokens to add per minute. Equivalent to "interval: 60000, per_interval: x".
  * @property {integer} [per_hour] The number of tokens to add per hour. Equivalent to "interval: 3600000, per_interval: x".
  * @property {integer} [per_day] The number of tokens to add per day. Equivalent to "interval: 86400000, per_interval: x".
+ * @property {string} [algorithm=token_bucket] The algorithm of the bucket: token_bucket, sliding_window_log, sliding_window_counter, gcra or concurrency.
+ * @property {integer} [lease_ttl=60000] Milliseconds after which a lease of a concurrency bucket is released automatically.
+ * @property {integer} [per_calendar_day] The number of tokens available per calendar day. The bucket is refilled at midnight.
+ * @property {integer} [per_calendar_week] The number of tokens available per calendar week. The bucket is refilled on Monday at midnight.
+ * @property {integer} [per_calendar_month] The number of tokens available per calendar month. The bucket is refilled on the 1st at midnight.
+ * @property {string} [timezone=UTC] The IANA timezone of the calendar periods, e.g. "America/New_York".
+ * @property {Object} [events] The options of the nonconformant events of the type.
+ * @property {number} [events.sampleRate=1] The fraction of the nonconformant takes that emit an event.
+ * @property {integer} [events.debounce] Milliseconds during which a key emits at most one nonconformant event.
+ * @property {Array.<string|RegExp>} [allow] The keys, regular expressions and CIDR ranges that are not limited.
+ * @property {Array.<string|RegExp>} [deny] The keys, regular expressions and CIDR ranges that are never conformant.
+ * @property {Object} [parent] The type of the bucket that every key also takes from.
+ * @property {string} parent.type The name of the parent type.
+ * @property {string|function} parent.key The key of the parent bucket, a function of the key or a template with the placeholders of pattern, e.g. `tenant:{tenant}`.
+ * @property {string} [parent.pattern] The pattern of the keys with placeholders, e.g. `user:{tenant}:{id}`.
+ * @property {Object} [penalty] Blocks the keys that are not conformant too often.
+ * @property {integer} penalty.violations The number of non conformant takes that block the key.
+ * @property {integer} penalty.window Milliseconds in which the violations are counted.
+ * @property {integer} penalty.duration Milliseconds the key is blocked.
+ * @property {number} [penalty.backoff=1] The duration is multiplied by this factor every time the key is blocked again.
+ * @property {integer} [penalty.maxDuration] The maximum milliseconds the key is blocked.
  *
  * @typedef {Object} params
  * @property {string} [params.path] The path to the database.
- * @property {string} [params.driver=leveldb] The driver to use the only supported now is leveldb and it is the default.
- * @property {boolean} [params.inMemory] Store the database in RAM instead of disk.
+ * @property {string|Object} [params.driver=leveldb] The storage driver, `leveldb` (default), `memory` or an object implementing the driver interface described in lib/drivers.
+ * @property {boolean} [params.inMemory] Store the leveldb database in RAM instead of disk.
+ * @property {boolean} [params.readOnly=false] Fail the operations that modify the buckets with ReadOnlyError. The database is not repaired.
+ * @property {Object} [params.metrics] The options of the statistics.
+ * @property {boolean} [params.metrics.byOverride=false] Count the operations by override name too.
+ * @property {integer} [params.checkFrequency=30000] How often in milliseconds expired buckets are removed from the storage.
+ * @property {integer} [params.maxPendingOperations=1000] The maximum number of operations buffered while the database is opening.
+ * @property {integer} [params.pendingTimeout=30000] How long in milliseconds a buffered operation waits for the database to open.
  * @property {Object.<string, type>} params.types The buckets configuration.
  *
+ * @typedef delParams
+ * @property {string} type The name of the bucket type.
+ * @property {string} key The key of the bucket instance.
+ *
+ * @typedef bulkParams
+ * @property {string} type The name of the bucket type.
+ * @property {string} [prefix] The prefix of the keys, required without match.
+ * @property {RegExp|string} [match] A regular expression the keys must match, required without prefix.
+ *
+ * @typedef resetPrefixResult
+ * @property {integer} reset The number of buckets reset.
+ *
+ * @typedef deletePrefixResult
+ * @property {integer} deleted The number of buckets removed.
+ *
  * @typedef takeParams
  * @property {string} type The name of the bucket type.
  * @property {string} key The key of the bucket instance.
  * @property {integer} [count=1] The number of tokens to take from the bucket.
+ * @property {boolean} [dryRun=false] Computes the result without taking the tokens.
  *
  * @typedef takeResult
  * @property {boolean} conformant Returns true if there is enough capacity in the bucket and the tokens has been removed.
  * @property {integer} remaining The number of tokens remaining in the bucket.
  * @property {integer} reset A unix timestamp indicating when the bucket is going to be full.
  * @property {integer} limit The size of the bucket.
+ * @property {integer} [retryAfter] Milliseconds until the requested tokens are available, only for non conformant takes with the gcra algorithm, dry runs and blocked keys.
+ * @property {integer} [blockedUntil] A unix timestamp indicating when the key is unblocked, when the key is blocked by its penalty.
+ * @property {string} [lease] The id of the lease acquired by a conformant take on a concurrency bucket.
+ *
+ * @typedef takeManyResult
+ * @property {boolean} conformant True if every bucket was conformant and the tokens have been taken from all of them.
+ * @property {Array.<takeResult>} results The result of each bucket in the same order, the most restrictive of the bucket and its parents. When the take is not conformant nothing is taken and each result reports if that bucket alone would have been conformant.
  *
  * @typedef waitParams
  * @property {string} type The name of the bucket type.
  * @property {string} key The key of the bucket instance.
  * @property {integer} [count=1] The number of tokens to wait for.
+ * @property {integer} [timeout] Fails with WaitTimeoutError if the tokens are not available after this number of milliseconds.
+ * @property {integer} [maxQueue] Fails with WaitQueueFullError if there are already this number of waiters on the bucket.
+ * @property {AbortSignal} [signal] Fails with WaitAbortedError when the signal is aborted.
  *
  * @typedef waitResult
+ * @property {boolean} [delayed] True if the tokens were not available immediately.
  * @property {integer} remaining The number of tokens remaining in the bucket.
  * @property {integer} reset A unix timestamp indicating when the bucket is going to be full.
  * @property {integer} limit The size of the bucket.
@@ -633,6 +3242,77 @@ module.exports = LimitDB;
  * @property {integer} reset A unix timestamp indicating when the bucket is going to be full.
  * @property {integer} limit The size of the bucket.
  *
+ * @typedef releaseParams
+ * @property {string} type The name of the bucket type.
+ * @property {string} key The key of the bucket instance.
+ * @property {string} lease The id of the lease returned by take.
+ *
+ * @typedef watchTypesOptions
+ * @property {integer} [interval=5000] How often the file is checked in milliseconds.
+ *
+ * @typedef typesDiff
+ * @property {Array.<string>} added The names of the new types.
+ * @property {Array.<string>} removed The names of the removed types.
+ * @property {Array.<string>} changed The names of the types with a different definition.
+ *
+ * @typedef snapshotOptions
+ * @property {Array.<string>} [types] Only the buckets of these types, all the types by default.
+ *
+ * @typedef importSnapshotOptions
+ * @property {string} [mode=merge] `merge` keeps the existing buckets that are not in the snapshot, `replace` removes them.
+ * @property {Array.<string>} [types] Only the buckets of these types, all the types by default.
+ *
+ * @typedef exportSnapshotResult
+ * @property {integer} exported The number of buckets written to the stream.
+ *
+ * @typedef importSnapshotResult
+ * @property {integer} imported The number of buckets restored.
+ * @property {integer} skipped The number of buckets of undefined types or of another algorithm.
+ *
+ * @typedef overrideParams
+ * @property {string} type The name of the bucket type.
+ * @property {string} [key] The key of the bucket instance.
+ * @property {RegExp|string} [match] A regular expression for the keys, instead of key.
+ * @property {Date|string} [from] The override is ignored before this date.
+ * @property {Date|string} [until] The override is ignored after this date.
+ * @property {integer} [size] The limits of the override, same than in the type.
+ *
+ * @typedef banParams
+ * @property {string} type The name of the bucket type.
+ * @property {string} key The key of the bucket instance.
+ * @property {integer} duration Milliseconds the key is blocked.
+ *
+ * @typedef banResult
+ * @property {integer} blockedUntil A unix timestamp indicating when the key is unblocked.
+ *
+ * @typedef unbanParams
+ * @property {string} type The name of the bucket type.
+ * @property {string} key The key of the bucket instance.
+ *
+ * @typedef unbanResult
+ * @property {boolean} unbanned True if the key was blocked.
+ *
+ * @typedef listEntryParams
+ * @property {string} type The name of the bucket type.
+ * @property {string} list The list of the entry, `allow` or `deny`.
+ * @property {string} [key] The key of the bucket instance or a CIDR range.
+ * @property {RegExp|string} [match] A regular expression for the keys, instead of key.
+ *
+ * @typedef removeListEntryResult
+ * @property {boolean} removed True if the entry existed.
+ *
+ * @typedef listOverridesParams
+ * @property {string} [type] Only list the overrides of this type.
+ *
+ * @typedef removeOverrideResult
+ * @property {boolean} removed True if the override existed.
+ *
+ * @typedef releaseResult
+ * @property {boolean} released True if the lease was active and has been released.
+ * @property {integer} remaining The number of available slots.
+ * @property {integer} reset A unix timestamp indicating when every lease is going to expire.
+ * @property {integer} limit The size of the bucket.
+ *
  * @typedef getParams
  * @property {string} type The name of the bucket type.
  * @property {string} key The key of the bucket instance.
@@ -645,14 +3325,21 @@ module.exports = LimitDB;
  * @typedef statusParams
  * @property {string} type The name of the bucket type.
  * @property {string} prefix The prefix to search for.
+ * @property {integer} [limit=100] The maximum number of buckets in the page.
+ * @property {string} [cursor] The nextCursor of the previous page.
+ * @property {boolean} [includeFull=false] Include the buckets that are full.
+ * @property {boolean} [blocked=false] List the keys blocked by their penalty instead of the buckets.
  *
  * @typedef statusItem
  * @property {string} key The key of the bucket instance.
  * @property {integer} remaining The number of tokens remaining in the bucket.
  * @property {integer} reset A unix timestamp indicating when the bucket is going to be full.
  * @property {integer} limit The size of the bucket.
+ * @property {integer} [blockedUntil] A unix timestamp indicating when the key is unblocked, if it is blocked.
+ * @property {integer} [strikes] The number of times the key has been blocked, only with blocked.
  *
  * @typedef statusResult
- * @property {Array.<statusItem>} items The number of tokens remaining in the bucket.
+ * @property {Array.<statusItem>} items The buckets of the page.
+ * @property {string|null} nextCursor The cursor of the next page, null on the last page.
  *
 */
@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Storage drivers.
+ *
+ * A driver is an object with the following methods:
+ *
+ * - `open(params, callback)` opens the storage and calls back with a `store`.
+ *   `params` are the options given to LimitDB, `params.checkFrequency` is how
+ *   often in milliseconds expired elements should be removed. With `params.readOnly`
+ *   the storage is neither created nor modified, expired elements are kept.
+ * - `validate(params)` (optional) throws if the params are not valid for the driver.
+ * - `check(params, callback)` (optional) calls back with an error if the storage
+ *   needs to be repaired before opening it.
+ * - `repair(params, callback)` (optional) repairs the storage.
+ *
+ * A store has:
+ *
+ * - `sublevel(name)` returns an isolated keyspace for the given name.
+ * - `close(callback)` closes the storage.
+ * - `isClosed()` returns true once the storage is closed.
+ *
+ * And a sublevel has:
+ *
+ * - `get(key, callback)` calls back with the value or with an error named
+ *   `NotFoundError` when the key is missing.
+ * - `put(key, value, options, callback)` stores a value, `options.ttl` is
+ *   the number of milliseconds after which the element is removed.
+ * - `del(key, callback)` removes an element.
+ * - `batch(operations, options, callback)` applies a list of
+ *   `{ type: 'put'|'del', key, value }` operations, `options.ttl` applies to the puts.
+ * - `createReadStream(options)` returns an object mode stream of `{ key, value }`
+ *   sorted by key. It supports the `gt`, `gte`, `lt`, `lte` and `limit` options.
+ *
+ * Values are plain JSON objects.
+ */
+const drivers = {
+  leveldb: () => require('./leveldb'),
+  memory:  () => require('./memory')
+};
+
+/**
+ * Returns the driver for the given name. It also accepts an object
+ * implementing the driver interface.
+ *
+ * @param {string|Object} driver The name of the driver or a driver.
+ * @returns {Object} The driver.
+ */
+module.exports.resolve = function(driver) {
+  if (driver && typeof driver.open === 'function') {
+    return driver;
+  }
+
+  if (!drivers[driver]) {
+    throw new Error(`unknown driver ${driver}`);
+  }
+
+  return drivers[driver]();
+};
+
+module.exports.names = Object.keys(drivers);
@@ -0,0 +1,76 @@
+'use strict';
+
+const level     = require('levelup');
+const ttl       = require('level-ttl');
+const spaces    = require('level-spaces');
+const fs        = require('fs');
+
+/**
+ * leveldown is an optional dependency, it is only required
+ * when the leveldb driver is used.
+ */
+function leveldown() {
+  try {
+    return require('leveldown');
+  } catch (err) {
+    if (err.code === 'MODULE_NOT_FOUND') {
+      throw new Error('the leveldb driver requires leveldown, install it with npm install leveldown or use the memory driver');
+    }
+    throw err;
+  }
+}
+
+/**
+ * The default driver, leveldb on disk or in memory.
+ */
+module.exports.validate = function(params) {
+  if (typeof params.path !== 'string' && !params.inMemory) {
+    throw new Error('path is required');
+  }
+
+  leveldown();
+};
+
+module.exports.check = function(params, callback) {
+  if (params.inMemory || !fs.existsSync(params.path)) {
+    return setImmediate(callback);
+  }
+  require('../../bin/db-checker').check(params.path, callback);
+};
+
+module.exports.repair = function(params, callback) {
+  leveldown().repair(params.path, callback);
+};
+
+module.exports.open = function(params, callback) {
+  const memory = params.inMemory || undefined;
+  const readOnly = params.readOnly && !memory;
+
+  //leveldb creates the directory even without createIfMissing.
+  if (readOnly && !fs.existsSync(params.path)) {
+    return setImmediate(callback, new Error(`${params.path} does not exist`));
+  }
+
+  level(leveldown()(params.path || ''), {
+    memory,
+    createIfMissing: !readOnly,
+    valueEncoding: 'json'
+  }, (err, db) => {
+    if (err) {
+      return callback(err);
+    }
+
+    //the sweeper of level-ttl deletes the expired buckets.
+    if (!readOnly) {
+      db = ttl(db, {
+        checkFrequency: params.checkFrequency
+      });
+    }
+
+    callback(null, {
+      sublevel: name => spaces(db, name, { valueEncoding: 'json' }),
+      close:    cb => db.close(cb),
+      isClosed: () => db.isClosed()
+    });
+  });
+};
@@ -0,0 +1,182 @@
+'use strict';
+
+const Readable = require('stream').Readable;
+
+/**
+ * A pure javascript driver storing everything in memory.
+ *
+ * Elements with a ttl are removed lazily when they are read and
+ * periodically by a sweeper running every `params.checkFrequency` ms.
+ */
+function notFound(key) {
+  const err = new Error(`Key not found in database [${key}]`);
+  err.name = 'NotFoundError';
+  err.notFound = true;
+  return err;
+}
+
+function notOpen() {
+  return new Error('Database is not open');
+}
+
+function isExpired(entry, now) {
+  return typeof entry.expires === 'number' && entry.expires <= now;
+}
+
+function inRange(key, options) {
+  if (typeof options.gt  !== 'undefined' && key <= options.gt)  { return false; }
+  if (typeof options.gte !== 'undefined' && key <  options.gte) { return false; }
+  if (typeof options.lt  !== 'undefined' && key >= options.lt)  { return false; }
+  if (typeof options.lte !== 'undefined' && key >  options.lte) { return false; }
+  return true;
+}
+
+function createSublevel(store, data) {
+  const write = (key, value, ttl) => {
+    data.set(key, {
+      value:   JSON.stringify(value),
+      expires: ttl > 0 ? Date.now() + ttl : undefined
+    });
+  };
+
+  return {
+    get(key, callback) {
+      if (store.isClosed()) {
+        return setImmediate(callback, notOpen());
+      }
+
+      const entry = data.get(key);
+
+      if (!entry || isExpired(entry, Date.now())) {
+        data.delete(key);
+        return setImmediate(callback, notFound(key));
+      }
+
+      setImmediate(callback, null, JSON.parse(entry.value));
+    },
+
+    put(key, value, options, callback) {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      callback = callback || (() => {});
+
+      if (store.isClosed()) {
+        return setImmediate(callback, notOpen());
+      }
+
+      write(key, value, (options || {}).ttl);
+      setImmediate(callback);
+    },
+
+    del(key, callback) {
+      callback = callback || (() => {});
+
+      if (store.isClosed()) {
+        return setImmediate(callback, notOpen());
+      }
+
+      data.delete(key);
+      setImmediate(callback);
+    },
+
+    batch(operations, options, callback) {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      callback = callback || (() => {});
+
+      if (store.isClosed()) {
+        return setImmediate(callback, notOpen());
+      }
+
+      operations.forEach(op => {
+        if (op.type === 'del') {
+          data.delete(op.key);
+        } else {
+          write(op.key, op.value, (options || {}).ttl);
+        }
+      });
+
+      setImmediate(callback);
+    },
+
+    createReadStream(options) {
+      options = options || {};
+
+      const now = Date.now();
+      const keys = Array.from(data.keys())
+                        .filter(key => inRange(key, options))
+                        .sort();
+
+      if (options.reverse) {
+        keys.reverse();
+      }
+
+      var limit = options.limit > 0 ? options.limit : Infinity;
+
+      return new Readable({
+        objectMode: true,
+        read() {
+          while (keys.length > 0 && limit > 0) {
+            const key = keys.shift();
+            const entry = data.get(key);
+
+            if (!entry || isExpired(entry, now)) {
+              continue;
+            }
+
+            limit--;
+
+            if (!this.push({ key, value: JSON.parse(entry.value) })) {
+              return;
+            }
+          }
+
+          this.push(null);
+        }
+      });
+    }
+  };
+}
+
+module.exports.open = function(params, callback) {
+  const spaces = new Map();
+  var closed = false;
+
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    spaces.forEach(data => {
+      data.forEach((entry, key) => {
+        if (isExpired(entry, now)) {
+          data.delete(key);
+        }
+      });
+    });
+  }, params.checkFrequency);
+
+  sweeper.unref();
+
+  const store = {
+    sublevel(name) {
+      if (!spaces.has(name)) {
+        spaces.set(name, new Map());
+      }
+      return createSublevel(store, spaces.get(name));
+    },
+
+    close(callback) {
+      clearInterval(sweeper);
+      closed = true;
+      setImmediate(callback || (() => {}));
+    },
+
+    isClosed() {
+      return closed;
+    }
+  };
+
+  setImmediate(callback, null, store);
+};
@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * Base class for the errors raised by LimitDB.
+ */
+class LimitDBError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * The operation was issued after the database was closed.
+ */
+class DatabaseClosedError extends LimitDBError {
+  constructor(message) {
+    super(message || 'the database is closed');
+    this.code = 'ERR_DATABASE_CLOSED';
+  }
+}
+
+/**
+ * The database failed to open or to repair.
+ * The original error is available in the `cause` property.
+ */
+class DatabaseOpenError extends LimitDBError {
+  constructor(cause) {
+    super(`the database failed to open: ${cause.message}`);
+    this.code = 'ERR_DATABASE_OPEN';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Too many operations were buffered while the database was opening.
+ */
+class PendingQueueFullError extends LimitDBError {
+  constructor(max) {
+    super(`too many pending operations while opening the database (max: ${max})`);
+    this.code = 'ERR_PENDING_QUEUE_FULL';
+  }
+}
+
+/**
+ * A buffered operation waited too long for the database to open.
+ */
+class PendingTimeoutError extends LimitDBError {
+  constructor(timeout) {
+    super(`the database was not ready after ${timeout}ms`);
+    this.code = 'ERR_PENDING_TIMEOUT';
+  }
+}
+
+/**
+ * The tokens requested with wait were not available before the timeout.
+ */
+class WaitTimeoutError extends LimitDBError {
+  constructor(timeout) {
+    super(`the tokens were not available after ${timeout}ms`);
+    this.code = 'ERR_WAIT_TIMEOUT';
+  }
+}
+
+/**
+ * There are too many waiters on the bucket.
+ */
+class WaitQueueFullError extends LimitDBError {
+  constructor(max) {
+    super(`too many waiters on the bucket (max: ${max})`);
+    this.code = 'ERR_WAIT_QUEUE_FULL';
+  }
+}
+
+/**
+ * The wait was cancelled with its AbortSignal.
+ */
+class WaitAbortedError extends LimitDBError {
+  constructor() {
+    super('the wait was aborted');
+    this.code = 'ERR_WAIT_ABORTED';
+  }
+}
+
+/**
+ * The tokens requested with wait can never be available,
+ * e.g. more tokens than the size of the bucket.
+ */
+class WaitUnsatisfiableError extends LimitDBError {
+  constructor(count) {
+    super(`${count} tokens can never be available in the bucket`);
+    this.code = 'ERR_WAIT_UNSATISFIABLE';
+  }
+}
+
+/**
+ * The key is in the deny list of the type, its tokens are never available.
+ */
+class KeyDeniedError extends LimitDBError {
+  constructor(type, key) {
+    super(`the key ${key} is denied by the type ${type}`);
+    this.code = 'ERR_KEY_DENIED';
+  }
+}
+
+/**
+ * The configuration of the bucket types is not valid.
+ * Every problem is listed in the `problems` property.
+ */
+class InvalidTypesError extends LimitDBError {
+  constructor(problems) {
+    super(`invalid types configuration: ${problems.join(', ')}`);
+    this.code = 'ERR_INVALID_TYPES';
+    this.problems = problems;
+  }
+}
+
+/**
+ * The operation modifies the buckets and the database was opened with readOnly.
+ */
+class ReadOnlyError extends LimitDBError {
+  constructor() {
+    super('the database is read only');
+    this.code = 'ERR_READ_ONLY';
+  }
+}
+
+module.exports = {
+  LimitDBError,
+  DatabaseClosedError,
+  DatabaseOpenError,
+  PendingQueueFullError,
+  PendingTimeoutError,
+  WaitTimeoutError,
+  WaitQueueFullError,
+  WaitAbortedError,
+  WaitUnsatisfiableError,
+  KeyDeniedError,
+  InvalidTypesError,
+  ReadOnlyError
+};
@@ -1,6 +1,7 @@
 'use strict';
 
 const clone = require('fast-clone');
+const _     = require('lodash');
 
 /**
  * GET->MAP->SAVE is an extension for leveldb.
@@ -30,54 +31,130 @@ const clone = require('fast-clone');
  * The value stored in the database is 3 and the most important thing
  * this has executed **1 db.get** and **1 db.put**.
  *
+ * The optional hooks are `coalesced(count)`, called with the number of maps
+ * applied in the round of a previous one, and `latency(operation, ms)` called
+ * after every get, put and del.
  */
-module.exports = function(db) {
+module.exports = function(db, hooks) {
   const queues = {};
 
-  db.gms = function(key, map, putParams, callback) {
-    const queue = queues[key] = queues[key] || [];
+  hooks = Object.assign({
+    coalesced: () => {},
+    latency:   () => {}
+  }, hooks);
+
+  //milliseconds elapsed since start.
+  const elapsed = (start) => {
+    const diff = process.hrtime(start);
+    return diff[0] * 1e3 + diff[1] / 1e6;
+  };
 
-    queue.push({ map, putParams, callback });
+  const next = (key) => {
+    const queue = queues[key];
 
-    if (queue.length > 1){
+    if (queue.busy) {
+      return;
+    }
+
+    if (queue.items.length === 0) {
+      delete queues[key];
       return;
     }
 
-    this.get(key, (err, value) => {
+    queue.busy = true;
+
+    const done = () => {
+      queue.busy = false;
+      next(key);
+    };
+
+    if (queue.items[0].lock) {
+      return queue.items.shift().lock(done);
+    }
+
+    const getStart = process.hrtime();
+
+    db.get(key, (err, value) => {
+      hooks.latency('get', elapsed(getStart));
+
+      //every queued map until the next lock is applied on this round.
+      const lockIndex = queue.items.findIndex(queued => queued.lock);
+      const batch = queue.items.splice(0, lockIndex === -1 ? queue.items.length : lockIndex);
+
+      if (batch.length > 1) {
+        hooks.coalesced(batch.length - 1);
+      }
+
       if (err && err.name !== 'NotFoundError') {
-        delete queues[key];
-        return queue.forEach(queued => queued.callback(err));
+        done();
+        return batch.forEach(queued => queued.callback(err));
       }
 
       const intermediateResults = [];
 
-      const finalResult = queue.reduce((prev, queued) => {
+      const finalResult = batch.reduce((prev, queued) => {
         const result = queued.map(prev);
         intermediateResults.push(result);
         return result;
       }, value);
 
-      delete queues[key];
+      const last = batch[batch.length - 1];
+
+      const writeStart = process.hrtime();
+      const operation = finalResult ? 'put' : 'del';
 
-      const last = queue[queue.length - 1];
+      const finish = (err) => {
+        hooks.latency(operation, elapsed(writeStart));
+        done();
+        if (err) {
+          return batch.forEach(queued => queued.callback(err));
+        }
+        intermediateResults.forEach((ir, index) => batch[index].callback(null, ir));
+      };
 
       if (finalResult) {
-        this.put(key, finalResult, last.putParams, (err) => {
-          if (err) {
-            return queue.forEach(queued => queued.callback(err));
-          }
-          intermediateResults.forEach((ir, index) => queue[index].callback(null, ir));
-        });
+        db.put(key, finalResult, last.putParams, finish);
       } else {
-        this.del(key, (err) => {
-          if (err) {
-            return queue.forEach(queued => queued.callback(err));
-          }
-          intermediateResults.forEach((ir, index) => queue[index].callback(null, ir));
-        });
+        db.del(key, finish);
       }
     });
   };
 
+  const enqueue = (key, item) => {
+    const queue = queues[key] = queues[key] || { items: [], busy: false };
+    queue.items.push(item);
+    next(key);
+  };
+
+  /**
+   * The number of operations and locks waiting on every key.
+   */
+  db.queueDepth = function() {
+    return _.reduce(queues, (depth, queue) => depth + queue.items.length, 0);
+  };
+
+  db.gms = function(key, map, putParams, callback) {
+    enqueue(key, { map, putParams, callback });
+  };
+
+  /**
+   * Acquires an exclusive lock on the key. gms operations on the key
+   * wait until the lock is released.
+   *
+   *  db.lock('test', release => {
+   *    db.get('test', (err, value) => {
+   *      db.put('test', value + 1, release);
+   *    });
+   *  });
+   *
+   * Locks on several keys must be acquired always in the same order
+   * to avoid deadlocks.
+   */
+  db.lock = function(key, callback) {
+    enqueue(key, {
+      lock: (done) => callback(_.once(done))
+    });
+  };
+
   return db;
 };
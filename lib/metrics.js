@@ -0,0 +1,314 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Operation statistics of a LimitDB instance.
+ *
+ * Everything is counted per type and, when `byOverride` is set, per
+ * override name. Keys are never used as labels since their number is
+ * unbounded.
+ */
+const WAIT_DELAY_BUCKETS = [10, 50, 100, 500, 1000, 5000, 10000, 30000, 60000];
+const LATENCY_BUCKETS = [0.5, 1, 2.5, 5, 10, 25, 50, 100, 250, 1000];
+
+const STORAGE_OPERATIONS = ['get', 'put', 'del'];
+
+function createHistogram(buckets) {
+  return {
+    buckets,
+    counts: buckets.map(() => 0),
+    count: 0,
+    sum: 0
+  };
+}
+
+function observe(histogram, value) {
+  const index = _.findIndex(histogram.buckets, bound => value <= bound);
+  if (index !== -1) {
+    histogram.counts[index]++;
+  }
+  histogram.count++;
+  histogram.sum += value;
+}
+
+function mergeHistograms(histograms, buckets) {
+  return histograms.reduce((merged, histogram) => {
+    histogram.counts.forEach((count, index) => merged.counts[index] += count);
+    merged.count += histogram.count;
+    merged.sum += histogram.sum;
+    return merged;
+  }, createHistogram(buckets));
+}
+
+/**
+ * The cumulative counts of the histogram by upper bound.
+ */
+function cumulative(histogram) {
+  var total = 0;
+  const result = {};
+
+  histogram.buckets.forEach((bound, index) => {
+    total += histogram.counts[index];
+    result[bound] = total;
+  });
+
+  result['+Inf'] = histogram.count;
+
+  return result;
+}
+
+function histogramStats(histogram) {
+  return {
+    count:   histogram.count,
+    sum:     histogram.sum,
+    buckets: cumulative(histogram)
+  };
+}
+
+function createOperations() {
+  return {
+    conformant:    0,
+    nonConformant: 0,
+    puts:          0,
+    waits:         0,
+    waitDelay:     createHistogram(WAIT_DELAY_BUCKETS)
+  };
+}
+
+function operationsStats(operations) {
+  return {
+    takes:         operations.conformant + operations.nonConformant,
+    conformant:    operations.conformant,
+    nonConformant: operations.nonConformant,
+    puts:          operations.puts,
+    waits:         operations.waits,
+    waitDelay:     histogramStats(operations.waitDelay)
+  };
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = _.map(labels, (value, name) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class Metrics {
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.byOverride=false] Count the operations per override name too.
+   * @param {function} [options.queueDepth] Returns the number of queued gms operations by type.
+   */
+  constructor(options) {
+    options = options || {};
+    this._byOverride = !!options.byOverride;
+    this._queueDepth = options.queueDepth || (() => ({}));
+    this._types = {};
+    this._repairs = 0;
+  }
+
+  _type(type) {
+    if (!this._types[type]) {
+      this._types[type] = {
+        operations: {},
+        coalesced: 0,
+        storageLatency: _.zipObject(STORAGE_OPERATIONS,
+          STORAGE_OPERATIONS.map(() => createHistogram(LATENCY_BUCKETS)))
+      };
+    }
+    return this._types[type];
+  }
+
+  _operations(type, override) {
+    const operations = this._type(type).operations;
+    const label = this._byOverride && override ? override : '';
+    if (!operations[label]) {
+      operations[label] = createOperations();
+    }
+    return operations[label];
+  }
+
+  take(type, override, conformant) {
+    this._operations(type, override)[conformant ? 'conformant' : 'nonConformant']++;
+  }
+
+  put(type, override) {
+    this._operations(type, override).puts++;
+  }
+
+  wait(type, override) {
+    this._operations(type, override).waits++;
+  }
+
+  waitDelay(type, override, delay) {
+    observe(this._operations(type, override).waitDelay, delay);
+  }
+
+  coalesced(type, count) {
+    this._type(type).coalesced += count;
+  }
+
+  storageLatency(type, operation, latency) {
+    observe(this._type(type).storageLatency[operation], latency);
+  }
+
+  repair() {
+    this._repairs++;
+  }
+
+  /**
+   * The hooks given to gms to measure the storage of the type.
+   */
+  gmsHooks(type) {
+    return {
+      coalesced: (count) => this.coalesced(type, count),
+      latency:   (operation, latency) => this.storageLatency(type, operation, latency)
+    };
+  }
+
+  /**
+   * Returns a snapshot of the statistics.
+   *
+   * @returns {stats}
+   */
+  getStats() {
+    const queueDepth = this._queueDepth();
+
+    return {
+      repairs: this._repairs,
+      types: _.mapValues(this._types, (type, name) => {
+        const operations = _.values(type.operations);
+        const stats = operationsStats(operations.reduce((total, o) => {
+          total.conformant += o.conformant;
+          total.nonConformant += o.nonConformant;
+          total.puts += o.puts;
+          total.waits += o.waits;
+          return total;
+        }, createOperations()));
+
+        stats.waitDelay = histogramStats(mergeHistograms(_.map(operations, 'waitDelay'), WAIT_DELAY_BUCKETS));
+        stats.queueDepth = queueDepth[name] || 0;
+        stats.coalesced = type.coalesced;
+        stats.storageLatency = _.mapValues(type.storageLatency, histogramStats);
+
+        if (this._byOverride) {
+          stats.overrides = _.mapValues(_.omit(type.operations, ''), operationsStats);
+        }
+
+        return stats;
+      })
+    };
+  }
+
+  /**
+   * Returns the metrics in the Prometheus text exposition format.
+   *
+   * @returns {string}
+   */
+  toPrometheus() {
+    const lines = [];
+    const queueDepth = this._queueDepth();
+
+    const metric = (name, type, help, write) => {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      write((labels, value, suffix) => {
+        lines.push(`${name}${suffix || ''}${formatLabels(labels)} ${value}`);
+      });
+    };
+
+    const histogram = (sample, labels, h) => {
+      const counts = cumulative(h);
+      h.buckets.concat('+Inf').forEach(bound => {
+        sample(Object.assign({}, labels, { le: bound }), counts[bound], '_bucket');
+      });
+      sample(labels, h.sum, '_sum');
+      sample(labels, h.count, '_count');
+    };
+
+    //the labels of the operations of a type, without override when they are not counted.
+    const eachOperations = (fn) => {
+      _.forEach(this._types, (type, name) => {
+        _.forEach(type.operations, (operations, override) => {
+          fn(this._byOverride ? { type: name, override } : { type: name }, operations);
+        });
+      });
+    };
+
+    metric('limitdb_takes_total', 'counter', 'The number of takes by result.', sample => {
+      eachOperations((labels, operations) => {
+        sample(Object.assign({}, labels, { conformant: 'true' }), operations.conformant);
+        sample(Object.assign({}, labels, { conformant: 'false' }), operations.nonConformant);
+      });
+    });
+
+    metric('limitdb_puts_total', 'counter', 'The number of puts.', sample => {
+      eachOperations((labels, operations) => sample(labels, operations.puts));
+    });
+
+    metric('limitdb_waits_total', 'counter', 'The number of waits.', sample => {
+      eachOperations((labels, operations) => sample(labels, operations.waits));
+    });
+
+    metric('limitdb_wait_delay_milliseconds', 'histogram', 'The time spent by waits until the tokens were taken.', sample => {
+      eachOperations((labels, operations) => histogram(sample, labels, operations.waitDelay));
+    });
+
+    metric('limitdb_gms_queue_depth', 'gauge', 'The number of operations queued on the buckets.', sample => {
+      _.forEach(this._types, (type, name) => sample({ type: name }, queueDepth[name] || 0));
+    });
+
+    metric('limitdb_gms_coalesced_total', 'counter', 'The number of operations applied in the storage round of a previous one.', sample => {
+      _.forEach(this._types, (type, name) => sample({ type: name }, type.coalesced));
+    });
+
+    metric('limitdb_storage_latency_milliseconds', 'histogram', 'The latency of the storage operations.', sample => {
+      _.forEach(this._types, (type, name) => {
+        _.forEach(type.storageLatency, (h, operation) => histogram(sample, { type: name, operation }, h));
+      });
+    });
+
+    metric('limitdb_repairs_total', 'counter', 'The number of times the database was repaired.', sample => {
+      sample({}, this._repairs);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = Metrics;
+
+/**
+ * @typedef histogramStats
+ * @property {integer} count The number of observations.
+ * @property {number} sum The sum of the observations.
+ * @property {Object.<string, integer>} buckets The cumulative number of observations by upper bound.
+ *
+ * @typedef operationsStats
+ * @property {integer} takes The number of takes.
+ * @property {integer} conformant The number of conformant takes.
+ * @property {integer} nonConformant The number of non conformant takes.
+ * @property {integer} puts The number of puts.
+ * @property {integer} waits The number of waits.
+ * @property {histogramStats} waitDelay The milliseconds spent by the waits that succeeded.
+ *
+ * @typedef typeStats
+ * @property {integer} takes The number of takes.
+ * @property {integer} conformant The number of conformant takes.
+ * @property {integer} nonConformant The number of non conformant takes.
+ * @property {integer} puts The number of puts.
+ * @property {integer} waits The number of waits.
+ * @property {histogramStats} waitDelay The milliseconds spent by the waits that succeeded.
+ * @property {integer} queueDepth The number of operations queued on the buckets.
+ * @property {integer} coalesced The number of operations applied in the storage round of a previous one.
+ * @property {Object.<string, histogramStats>} storageLatency The milliseconds of the get, put and del operations.
+ * @property {Object.<string, operationsStats>} [overrides] The operations by override name, with metrics.byOverride.
+ *
+ * @typedef stats
+ * @property {integer} repairs The number of times the database was repaired.
+ * @property {Object.<string, typeStats>} types The statistics by type.
+ */
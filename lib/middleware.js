@@ -0,0 +1,252 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Middlewares enforcing the limits of a LimitDB instance
+ * for Express (and Connect), Koa and Fastify.
+ *
+ *   app.use(middleware(limitdb, { type: 'ip', key: 'ip' }));
+ *
+ * Every request takes `count` tokens from the bucket of each limit and
+ * the request is rejected with 429 if any of them is not conformant.
+ * With several limits the tokens are taken atomically with takeMany.
+ * The limits whose key is missing, e.g. the user limit of anonymous
+ * requests, don't apply to the request.
+ */
+const KEY_EXTRACTORS = {
+  ip: req => req.ip || (req.socket || req.connection || {}).remoteAddress,
+  user: req => {
+    const id = _.get(req, 'user.id');
+    return typeof id === 'undefined' || id === null ? _.get(req, 'state.user.id') : id;
+  }
+};
+
+function getKeyExtractor(key) {
+  if (typeof key === 'function') {
+    return key;
+  }
+
+  if (KEY_EXTRACTORS[key]) {
+    return KEY_EXTRACTORS[key];
+  }
+
+  const header = /^header:(.+)$/.exec(key || '');
+
+  if (header) {
+    const name = header[1].toLowerCase();
+    return req => req.headers[name];
+  }
+
+  throw new Error(`invalid key extractor ${key}`);
+}
+
+function normalizeLimits(options) {
+  const limits = options.limits || [_.pick(options, ['type', 'key', 'count'])];
+
+  return limits.map(limit => {
+    if (typeof limit.type !== 'string') {
+      throw new Error('type is required');
+    }
+
+    const count = typeof limit.count === 'undefined' ? options.count : limit.count;
+
+    return {
+      type:  limit.type,
+      key:   getKeyExtractor(limit.key || options.key || 'ip'),
+      count: typeof count === 'function' ? count : _.constant(count || 1)
+    };
+  });
+}
+
+/**
+ * The headers of the most restrictive bucket, without
+ * the values unlimited types don't have.
+ */
+function getHeaders(results) {
+  const result = _.find(results, r => !r.conformant) || _.minBy(results, 'remaining') || results[0];
+  const headers = {
+    'X-RateLimit-Limit':     result.limit,
+    'X-RateLimit-Remaining': result.remaining,
+    'X-RateLimit-Reset':     result.reset
+  };
+
+  if (!result.conformant) {
+    const retryAfter = typeof result.retryAfter === 'number' ?
+      result.retryAfter / 1000 :
+      result.reset - Date.now() / 1000;
+    headers['Retry-After'] = Math.max(Math.ceil(retryAfter), 0);
+  }
+
+  return _.omitBy(headers, _.isUndefined);
+}
+
+/**
+ * Creates the function that checks the limits of a request,
+ * it calls back with { skipped, conformant, results, headers }.
+ */
+function createLimiter(db, options) {
+  const limits = normalizeLimits(options);
+  const skip = options.skip || _.constant(false);
+
+  return (req, callback) => {
+    if (skip(req)) {
+      return setImmediate(callback, null, { skipped: true, conformant: true });
+    }
+
+    const buckets = [];
+
+    for (var i = 0; i < limits.length; i++) {
+      const key = limits[i].key(req);
+
+      if (typeof key === 'undefined' || key === null) {
+        continue;
+      }
+
+      buckets.push({
+        type:  limits[i].type,
+        key:   String(key),
+        count: limits[i].count(req)
+      });
+    }
+
+    if (buckets.length === 0) {
+      return setImmediate(callback, null, { skipped: true, conformant: true });
+    }
+
+    const done = (err, response) => {
+      if (err) { return callback(err); }
+      callback(null, {
+        conformant: options.dryRun ? true : response.conformant,
+        results:    response.results,
+        headers:    getHeaders(response.results)
+      });
+    };
+
+    if (options.dryRun) {
+      return Promise.all(buckets.map(bucket => db.take(Object.assign({ dryRun: true }, bucket))))
+        .then(results => done(null, { results }), done);
+    }
+
+    if (buckets.length === 1) {
+      return db.take(buckets[0], (err, result) => {
+        if (err) { return done(err); }
+        done(null, { conformant: result.conformant, results: [result] });
+      });
+    }
+
+    db.takeMany(buckets, done);
+  };
+}
+
+const REJECTION = {
+  error: 'too_many_requests',
+  message: 'Too Many Requests'
+};
+
+/**
+ * Express and Connect middleware.
+ *
+ * @param {LimitDB} db The database.
+ * @param {middlewareOptions} options
+ * @returns {function(req, res, next)}
+ */
+module.exports = function(db, options) {
+  const limiter = createLimiter(db, options);
+
+  return (req, res, next) => {
+    limiter(req, (err, limited) => {
+      if (err) { return next(err); }
+      if (limited.skipped) { return next(); }
+
+      _.forEach(limited.headers, (value, name) => res.setHeader(name, value));
+
+      if (limited.conformant) {
+        return next();
+      }
+
+      if (options.onRejected) {
+        return options.onRejected(req, res, next, limited.results);
+      }
+
+      res.statusCode = 429;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(REJECTION));
+    });
+  };
+};
+
+/**
+ * Koa middleware. The key extractors receive the context.
+ *
+ * @param {LimitDB} db The database.
+ * @param {middlewareOptions} options
+ * @returns {function(ctx, next): Promise}
+ */
+module.exports.koa = function(db, options) {
+  const limiter = createLimiter(db, options);
+
+  return (ctx, next) => {
+    return new Promise((resolve, reject) => {
+      limiter(ctx, (err, limited) => err ? reject(err) : resolve(limited));
+    }).then(limited => {
+      if (limited.skipped) { return next(); }
+
+      _.forEach(limited.headers, (value, name) => ctx.set(name, String(value)));
+
+      if (limited.conformant) {
+        return next();
+      }
+
+      if (options.onRejected) {
+        return options.onRejected(ctx, next, limited.results);
+      }
+
+      ctx.status = 429;
+      ctx.body = REJECTION;
+    });
+  };
+};
+
+/**
+ * Fastify preHandler hook. The key extractors receive the fastify request.
+ *
+ *   fastify.addHook('preHandler', middleware.fastify(limitdb, { type: 'ip' }));
+ *
+ * @param {LimitDB} db The database.
+ * @param {middlewareOptions} options
+ * @returns {function(request, reply, done)}
+ */
+module.exports.fastify = function(db, options) {
+  const limiter = createLimiter(db, options);
+
+  return (request, reply, done) => {
+    limiter(request, (err, limited) => {
+      if (err) { return done(err); }
+      if (limited.skipped) { return done(); }
+
+      _.forEach(limited.headers, (value, name) => reply.header(name, value));
+
+      if (limited.conformant) {
+        return done();
+      }
+
+      if (options.onRejected) {
+        return options.onRejected(request, reply, done, limited.results);
+      }
+
+      reply.code(429).send(REJECTION);
+    });
+  };
+};
+
+/**
+ * @typedef middlewareOptions
+ * @property {string} [type] The bucket type.
+ * @property {string|function} [key=ip] How to get the key of the bucket: "ip", "user" (the id of req.user), "header:<name>" or a function receiving the request. The limit doesn't apply to the requests without key (undefined or null).
+ * @property {integer|function} [count=1] The tokens taken by every request, or a function receiving the request.
+ * @property {Array.<{type: string, key: (string|function), count: (integer|function)}>} [limits] Several limits enforced atomically, instead of type.
+ * @property {function} [skip] Returns true for the requests that are not limited.
+ * @property {boolean} [dryRun=false] Set the headers without taking the tokens or rejecting requests.
+ * @property {function} [onRejected] Called instead of responding with 429, receives the request, the response, next and the result of every bucket.
+ */
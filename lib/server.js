@@ -0,0 +1,297 @@
+'use strict';
+
+const http = require('http');
+const url  = require('url');
+const _    = require('lodash');
+
+const errors = require('./errors');
+
+const MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * A REST API on top of a LimitDB instance:
+ *
+ *   POST /types/:type/keys/:key/take   { count, dryRun }
+ *   POST /types/:type/keys/:key/put    { count, all }
+ *   POST /types/:type/keys/:key/wait   { count, timeout }
+ *   GET  /types/:type/keys/:key
+ *   GET  /types/:type?prefix=&limit=&cursor=&includeFull=&blocked=
+ *   GET  /health
+ *   GET  /ready
+ *   GET  /metrics
+ *
+ * Bucket responses include the RateLimit-Limit, RateLimit-Remaining
+ * and RateLimit-Reset headers. Non conformant takes respond with 429.
+ */
+const routes = [
+  {
+    method: 'POST',
+    path: /^\/types\/([^/]+)\/keys\/([^/]+)\/(take|put|wait)$/,
+    handler: (db, req, res, match) => {
+      readBody(req, (err, body) => {
+        if (err) { return sendError(res, err); }
+
+        if (typeof body.count !== 'undefined' && !(Number.isInteger(body.count) && body.count > 0)) {
+          return sendError(res, badRequest('count must be a positive integer'));
+        }
+
+        const operation = match[3];
+        const params = {
+          type:  match[1],
+          key:   match[2],
+          count: body.count
+        };
+
+        if (operation === 'take') {
+          params.dryRun = body.dryRun;
+        } else if (operation === 'put') {
+          params.all = body.all;
+        } else {
+          params.timeout = body.timeout;
+          params.signal = abortOnClose(res);
+        }
+
+        db[operation](_.omitBy(params, _.isUndefined), (err, result) => {
+          if (err) { return sendError(res, err); }
+          sendBucket(res, result);
+        });
+      });
+    }
+  },
+  {
+    method: 'GET',
+    path: /^\/types\/([^/]+)\/keys\/([^/]+)$/,
+    handler: (db, req, res, match) => {
+      db.get({ type: match[1], key: match[2] }, (err, result) => {
+        if (err) { return sendError(res, err); }
+        sendBucket(res, result);
+      });
+    }
+  },
+  {
+    method: 'GET',
+    path: /^\/types\/([^/]+)$/,
+    handler: (db, req, res, match, query) => {
+      const params = {
+        type:   match[1],
+        prefix: query.prefix || '',
+        cursor: query.cursor,
+        includeFull: query.includeFull === 'true' || undefined,
+        blocked: query.blocked === 'true' || undefined
+      };
+
+      if (typeof query.limit !== 'undefined') {
+        params.limit = Number(query.limit);
+      }
+
+      db.status(_.omitBy(params, _.isUndefined), (err, result) => {
+        if (err && /^(limit must|invalid cursor)/.test(err.message)) {
+          return sendError(res, badRequest(err.message));
+        }
+        if (err) { return sendError(res, err); }
+        send(res, 200, result);
+      });
+    }
+  },
+  {
+    method: 'GET',
+    path: /^\/health$/,
+    handler: (db, req, res) => {
+      send(res, 200, { status: 'ok', state: db.state });
+    }
+  },
+  {
+    method: 'GET',
+    path: /^\/metrics$/,
+    handler: (db, req, res) => {
+      const metrics = db.getPrometheusMetrics();
+      res.writeHead(200, {
+        'Content-Type': 'text/plain; version=0.0.4',
+        'Content-Length': Buffer.byteLength(metrics)
+      });
+      res.end(metrics);
+    }
+  },
+  {
+    method: 'GET',
+    path: /^\/ready$/,
+    handler: (db, req, res) => {
+      const ready = db.state === 'ready';
+      send(res, ready ? 200 : 503, { ready, state: db.state });
+    }
+  }
+];
+
+function send(res, statusCode, body, headers) {
+  const json = JSON.stringify(body);
+
+  res.writeHead(statusCode, Object.assign({
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(json)
+  }, headers));
+
+  res.end(json);
+}
+
+function sendBucket(res, result) {
+  //unlimited types without size have neither limit nor remaining.
+  const headers = _.omitBy({
+    'RateLimit-Limit':     result.limit,
+    'RateLimit-Remaining': result.remaining,
+    'RateLimit-Reset':     Math.max(result.reset - Math.ceil(Date.now() / 1000), 0)
+  }, _.isUndefined);
+
+  if (result.conformant === false) {
+    headers['Retry-After'] = typeof result.retryAfter === 'number' ?
+      Math.ceil(result.retryAfter / 1000) :
+      headers['RateLimit-Reset'];
+    return send(res, 429, result, headers);
+  }
+
+  send(res, 200, result, headers);
+}
+
+function getStatusCode(err) {
+  if (err.statusCode) {
+    return err.statusCode;
+  }
+
+  if (/^undefined bucket type/.test(err.message)) {
+    return 404;
+  }
+
+  if (err instanceof errors.KeyDeniedError) {
+    return 403;
+  }
+
+  if (err instanceof errors.WaitTimeoutError || err instanceof errors.WaitQueueFullError) {
+    return 429;
+  }
+
+  if (err instanceof errors.LimitDBError) {
+    return 503;
+  }
+
+  return 500;
+}
+
+function sendError(res, err) {
+  if (res.finished) {
+    return;
+  }
+
+  send(res, getStatusCode(err), {
+    error:   err.code || err.name,
+    message: err.message
+  });
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.code = 'ERR_BAD_REQUEST';
+  err.statusCode = 400;
+  return err;
+}
+
+function readBody(req, callback) {
+  const chunks = [];
+  var size = 0;
+
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size <= MAX_BODY_SIZE) {
+      chunks.push(chunk);
+    }
+  });
+
+  req.once('error', callback);
+
+  req.once('end', () => {
+    if (size > MAX_BODY_SIZE) {
+      return callback(badRequest('the body is too large'));
+    }
+
+    if (size === 0) {
+      return callback(null, {});
+    }
+
+    try {
+      const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      callback(null, _.isPlainObject(body) ? body : {});
+    } catch (err) {
+      callback(badRequest('the body is not valid json'));
+    }
+  });
+}
+
+/**
+ * A signal for wait aborted when the client closes the connection.
+ */
+function abortOnClose(res) {
+  const listeners = [];
+
+  const signal = {
+    aborted: false,
+    addEventListener: (event, listener) => listeners.push(listener),
+    removeEventListener: (event, listener) => _.pull(listeners, listener)
+  };
+
+  res.once('close', () => {
+    if (res.finished) {
+      return;
+    }
+    signal.aborted = true;
+    listeners.slice().forEach(listener => listener());
+  });
+
+  return signal;
+}
+
+/**
+ * Creates the request handler of the REST API.
+ *
+ * @param {LimitDB} db The database.
+ * @returns {function(http.IncomingMessage, http.ServerResponse)}
+ */
+module.exports.createHandler = function(db) {
+  return (req, res) => {
+    const parsed = url.parse(req.url, true);
+    var match;
+
+    const route = _.find(routes, r => {
+      match = r.path.exec(parsed.pathname);
+      return match;
+    });
+
+    if (!route) {
+      return send(res, 404, { error: 'ERR_NOT_FOUND', message: 'not found' });
+    }
+
+    if (route.method !== req.method) {
+      return send(res, 405, { error: 'ERR_METHOD_NOT_ALLOWED', message: 'method not allowed' }, {
+        'Allow': route.method
+      });
+    }
+
+    try {
+      match = match.map(decodeURIComponent);
+    } catch (err) {
+      return sendError(res, badRequest('the url is not valid'));
+    }
+
+    route.handler(db, req, res, match, parsed.query);
+  };
+};
+
+/**
+ * Creates an HTTP server for the REST API.
+ *
+ *   const server = require('limitdb/server');
+ *   server.createServer(limitdb).listen(9231);
+ *
+ * @param {LimitDB} db The database.
+ * @returns {http.Server}
+ */
+module.exports.createServer = function(db) {
+  return http.createServer(module.exports.createHandler(db));
+};
@@ -0,0 +1,389 @@
+'use strict';
+
+const _ = require('lodash');
+
+const algorithms = require('./algorithms');
+const calendar   = require('./calendar');
+const cidr       = require('./cidr');
+
+const RATES = [
+  'per_interval',
+  'per_second',
+  'per_minute',
+  'per_hour',
+  'per_day',
+  'per_calendar_day',
+  'per_calendar_week',
+  'per_calendar_month'
+];
+
+const POSITIVE_NUMBERS = RATES.concat([
+  'interval',
+  'ttl',
+  'lease_ttl'
+]);
+
+const TYPE_OPTIONS = POSITIVE_NUMBERS.concat([
+  'size',
+  'unlimited',
+  'algorithm',
+  'timezone',
+  'overrides',
+  'override',
+  'events',
+  'penalty',
+  'allow',
+  'deny',
+  'parent'
+]);
+
+const OVERRIDE_OPTIONS = _.without(TYPE_OPTIONS,
+  'overrides', 'override', 'events', 'penalty', 'allow', 'deny', 'parent').concat([
+  'match',
+  'from',
+  'until'
+]);
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+function isNumber(value) {
+  return typeof value === 'number' && isFinite(value);
+}
+
+function isDate(value) {
+  return (value instanceof Date || typeof value === 'string' || typeof value === 'number') &&
+    !isNaN(new Date(value));
+}
+
+function isRegExp(value) {
+  if (_.isRegExp(value)) {
+    return true;
+  }
+
+  if (typeof value !== 'string') {
+    return false;
+  }
+
+  try {
+    new RegExp(value);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function validateRates(params, path, problems) {
+  const rates = RATES.filter(key => typeof params[key] !== 'undefined');
+
+  if (rates.length > 1) {
+    problems.push(`${path} declares conflicting rates: ${rates.join(', ')}`);
+  }
+
+  if (typeof params.interval !== 'undefined' && !_.includes(rates, 'per_interval')) {
+    if (rates.length > 0) {
+      problems.push(`${path} declares conflicting rates: interval, ${rates.join(', ')}`);
+    } else {
+      problems.push(`${path}.interval requires per_interval`);
+    }
+  }
+
+  if (typeof params.per_interval !== 'undefined' && typeof params.interval === 'undefined') {
+    problems.push(`${path}.per_interval requires interval`);
+  }
+
+  return rates;
+}
+
+function validateAlgorithm(params, path, algorithmName, rates, inheritsPeriod, problems) {
+  const calendarRates = rates.filter(rate => _.startsWith(rate, 'per_calendar_'));
+
+  if (calendarRates.length > 0) {
+    algorithmName = 'calendar';
+  }
+
+  const algorithm = algorithms[algorithmName];
+
+  if (!algorithm) {
+    problems.push(`${path}.algorithm unknown algorithm ${algorithmName}`);
+    return algorithmName;
+  }
+
+  if (algorithm.requiresRate && !params.unlimited && rates.length === 0) {
+    problems.push(`${path} the ${algorithmName} algorithm requires a rate`);
+  }
+
+  //the overrides of calendar types inherit the period.
+  if (algorithm.requiresPeriod && calendarRates.length === 0 && !inheritsPeriod) {
+    problems.push(`${path} the ${algorithmName} algorithm requires a calendar period`);
+  }
+
+  return algorithmName;
+}
+
+function validateEvents(events, path, problems) {
+  if (!_.isPlainObject(events)) {
+    problems.push(`${path} must be an object`);
+    return;
+  }
+
+  _.difference(Object.keys(events), ['sampleRate', 'debounce']).forEach(key => {
+    problems.push(`${path}.${key} is not a valid option`);
+  });
+
+  if (typeof events.sampleRate !== 'undefined' &&
+      !(isNumber(events.sampleRate) && events.sampleRate > 0 && events.sampleRate <= 1)) {
+    problems.push(`${path}.sampleRate must be a number between 0 and 1`);
+  }
+
+  if (typeof events.debounce !== 'undefined' && !(isNumber(events.debounce) && events.debounce > 0)) {
+    problems.push(`${path}.debounce must be a positive number`);
+  }
+}
+
+function validatePenalty(penalty, path, problems) {
+  if (!_.isPlainObject(penalty)) {
+    problems.push(`${path} must be an object`);
+    return;
+  }
+
+  _.difference(Object.keys(penalty), ['violations', 'window', 'duration', 'backoff', 'maxDuration']).forEach(key => {
+    problems.push(`${path}.${key} is not a valid option`);
+  });
+
+  if (!(_.isInteger(penalty.violations) && penalty.violations > 0)) {
+    problems.push(`${path}.violations must be a positive integer`);
+  }
+
+  ['window', 'duration'].forEach(key => {
+    if (!(isNumber(penalty[key]) && penalty[key] > 0)) {
+      problems.push(`${path}.${key} must be a positive number`);
+    }
+  });
+
+  if (typeof penalty.backoff !== 'undefined' && !(isNumber(penalty.backoff) && penalty.backoff >= 1)) {
+    problems.push(`${path}.backoff must be a number greater than or equal to 1`);
+  }
+
+  if (typeof penalty.maxDuration !== 'undefined' && !(isNumber(penalty.maxDuration) && penalty.maxDuration > 0)) {
+    problems.push(`${path}.maxDuration must be a positive number`);
+  }
+}
+
+function validateAccessList(entries, path, problems) {
+  if (!Array.isArray(entries)) {
+    problems.push(`${path} must be an array`);
+    return;
+  }
+
+  entries.forEach((entry, index) => {
+    if (!_.isRegExp(entry) && typeof entry !== 'string') {
+      problems.push(`${path}[${index}] must be a string or a regular expression`);
+    } else if (cidr.isRangeLike(entry) && !cidr.parseRange(entry)) {
+      problems.push(`${path}[${index}] is not a valid CIDR range`);
+    }
+  });
+}
+
+function placeholders(template) {
+  const names = [];
+  template.replace(PLACEHOLDER, (placeholder, name) => names.push(name));
+  return names;
+}
+
+function validateParent(parent, path, problems) {
+  if (!_.isPlainObject(parent)) {
+    problems.push(`${path} must be an object`);
+    return;
+  }
+
+  _.difference(Object.keys(parent), ['type', 'key', 'pattern']).forEach(key => {
+    problems.push(`${path}.${key} is not a valid option`);
+  });
+
+  if (typeof parent.type !== 'string') {
+    problems.push(`${path}.type must be a string`);
+  }
+
+  if (typeof parent.pattern !== 'undefined' && typeof parent.pattern !== 'string') {
+    problems.push(`${path}.pattern must be a string`);
+    return;
+  }
+
+  if (typeof parent.key === 'function') {
+    return;
+  }
+
+  if (typeof parent.key !== 'string') {
+    problems.push(`${path}.key must be a function or a template`);
+    return;
+  }
+
+  const names = parent.pattern ? placeholders(parent.pattern) : [];
+
+  _.difference(placeholders(parent.key), names).forEach(name => {
+    problems.push(`${path}.key uses {${name}} which is not in the pattern`);
+  });
+}
+
+/**
+ * The parents must be defined and must not form cycles.
+ */
+function validateParents(types, problems) {
+  _.forEach(types, (params, name) => {
+    const parentType = _.get(params, 'parent.type');
+
+    if (typeof parentType !== 'string') {
+      return;
+    }
+
+    if (!_.isPlainObject(types[parentType])) {
+      problems.push(`types.${name}.parent.type undefined bucket type ${parentType}`);
+      return;
+    }
+
+    const chain = [name];
+    var current = parentType;
+
+    while (typeof current === 'string' && _.isPlainObject(types[current])) {
+      if (_.includes(chain, current)) {
+        problems.push(`types.${name}.parent forms a cycle: ${chain.concat(current).join(' -> ')}`);
+        return;
+      }
+      chain.push(current);
+      current = _.get(types[current], 'parent.type');
+    }
+  });
+}
+
+/**
+ * Validates the definition of a bucket type or an override.
+ * Returns the list of problems prefixed with the path of the value.
+ */
+function validateType(params, path, options) {
+  if (!_.isPlainObject(params)) {
+    return [`${path} must be an object`];
+  }
+
+  const problems = [];
+  const allowed = options.override ? OVERRIDE_OPTIONS : TYPE_OPTIONS;
+
+  _.difference(Object.keys(params), allowed).forEach(key => {
+    problems.push(`${path}.${key} is not a valid option`);
+  });
+
+  POSITIVE_NUMBERS.forEach(key => {
+    if (typeof params[key] !== 'undefined' && !(isNumber(params[key]) && params[key] > 0)) {
+      problems.push(`${path}.${key} must be a positive number`);
+    }
+  });
+
+  const rates = validateRates(params, path, problems);
+
+  if (typeof params.size !== 'undefined') {
+    if (!isNumber(params.size) || params.size < 0) {
+      problems.push(`${path}.size must be a non negative number`);
+    } else if (params.size === 0 && rates.length > 0) {
+      problems.push(`${path}.size must be a positive number when the type has a rate`);
+    }
+  }
+
+  if (typeof params.unlimited !== 'undefined' && typeof params.unlimited !== 'boolean') {
+    problems.push(`${path}.unlimited must be a boolean`);
+  }
+
+  var algorithm = params.algorithm || options.algorithm || 'token_bucket';
+
+  if (typeof params.algorithm !== 'undefined' && typeof params.algorithm !== 'string') {
+    problems.push(`${path}.algorithm must be a string`);
+  } else {
+    const inheritsPeriod = options.override && options.algorithm === 'calendar';
+    algorithm = validateAlgorithm(params, path, algorithm, rates, inheritsPeriod, problems);
+  }
+
+  if (typeof params.timezone !== 'undefined') {
+    try {
+      calendar.validateTimezone(params.timezone);
+    } catch (err) {
+      problems.push(`${path}.timezone unsupported timezone ${params.timezone}`);
+    }
+  }
+
+  if (typeof params.match !== 'undefined' && !isRegExp(params.match)) {
+    problems.push(`${path}.match must be a regular expression`);
+  }
+
+  ['from', 'until'].forEach(key => {
+    if (typeof params[key] !== 'undefined' && !isDate(params[key])) {
+      problems.push(`${path}.${key} must be a date`);
+    }
+  });
+
+  if (typeof params.events !== 'undefined') {
+    validateEvents(params.events, `${path}.events`, problems);
+  }
+
+  if (!options.override && typeof params.penalty !== 'undefined') {
+    validatePenalty(params.penalty, `${path}.penalty`, problems);
+  }
+
+  if (!options.override && typeof params.parent !== 'undefined') {
+    validateParent(params.parent, `${path}.parent`, problems);
+  }
+
+  ['allow', 'deny'].forEach(list => {
+    if (!options.override && typeof params[list] !== 'undefined') {
+      validateAccessList(params[list], `${path}.${list}`, problems);
+    }
+  });
+
+  const overrides = params.overrides || params.override;
+
+  if (options.override || typeof overrides === 'undefined') {
+    return problems;
+  }
+
+  if (!_.isPlainObject(overrides)) {
+    problems.push(`${path}.overrides must be an object`);
+    return problems;
+  }
+
+  _.forEach(overrides, (override, name) => {
+    problems.push.apply(problems, validateType(override, `${path}.overrides.${name}`, {
+      override: true,
+      algorithm
+    }));
+  });
+
+  return problems;
+}
+
+/**
+ * Validates the configuration of the bucket types.
+ * Returns the list of problems, an empty list if it is valid.
+ *
+ * @param {Object.<string, type>} types The buckets configuration.
+ * @returns {Array.<string>}
+ */
+module.exports.validateTypes = function(types) {
+  if (!_.isPlainObject(types)) {
+    return ['types must be an object'];
+  }
+
+  const problems = _.flatMap(types, (params, name) => validateType(params, `types.${name}`, {}));
+
+  validateParents(types, problems);
+
+  return problems;
+};
+
+/**
+ * Validates an override of the type.
+ *
+ * @param {Object} params The override.
+ * @param {string} path The path of the override used in the problems.
+ * @param {string} [algorithm] The algorithm of the type.
+ * @returns {Array.<string>}
+ */
+module.exports.validateOverride = function(params, path, algorithm) {
+  return validateType(params, path, { override: true, algorithm });
+};
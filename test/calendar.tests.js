@@ -0,0 +1,42 @@
+const calendar = require('../lib/calendar');
+const assert   = require('chai').assert;
+
+describe('calendar', () => {
+  it('should compute the days in UTC', () => {
+    const now = Date.UTC(2020, 2, 12, 13, 30);
+    assert.equal(calendar.start(now, 'day', 'UTC'), Date.UTC(2020, 2, 12));
+    assert.equal(calendar.end(now, 'day', 'UTC'), Date.UTC(2020, 2, 13));
+  });
+
+  it('should start the weeks on Monday', () => {
+    const thursday = Date.UTC(2020, 2, 12, 13, 30);
+    assert.equal(calendar.start(thursday, 'week', 'UTC'), Date.UTC(2020, 2, 9));
+    assert.equal(calendar.end(thursday, 'week', 'UTC'), Date.UTC(2020, 2, 16));
+
+    const sunday = Date.UTC(2020, 2, 15, 23);
+    assert.equal(calendar.start(sunday, 'week', 'UTC'), Date.UTC(2020, 2, 9));
+  });
+
+  it('should compute the months', () => {
+    const now = Date.UTC(2020, 11, 31, 23);
+    assert.equal(calendar.start(now, 'month', 'UTC'), Date.UTC(2020, 11, 1));
+    assert.equal(calendar.end(now, 'month', 'UTC'), Date.UTC(2021, 0, 1));
+  });
+
+  it('should use the timezone', () => {
+    const now = Date.UTC(2020, 2, 12, 20);
+    assert.equal(calendar.start(now, 'day', 'Asia/Kolkata'), Date.UTC(2020, 2, 12, 18, 30));
+    assert.equal(calendar.end(now, 'day', 'Asia/Kolkata'), Date.UTC(2020, 2, 13, 18, 30));
+  });
+
+  it('should follow daylight saving time changes', () => {
+    //DST started on March 8th 2020 in New York.
+    const now = Date.UTC(2020, 2, 8, 12);
+    assert.equal(calendar.start(now, 'day', 'America/New_York'), Date.UTC(2020, 2, 8, 5));
+    assert.equal(calendar.end(now, 'day', 'America/New_York'), Date.UTC(2020, 2, 9, 4));
+  });
+
+  it('should fail with unsupported timezones', () => {
+    assert.throws(() => calendar.validateTimezone('Foo/Bar'), RangeError);
+  });
+});
@@ -0,0 +1,47 @@
+const cidr   = require('../lib/cidr');
+const assert = require('chai').assert;
+
+describe('cidr', () => {
+  const contains = (range, address) => cidr.contains(cidr.parseRange(range), cidr.parseAddress(address));
+
+  it('should parse IPv4 and IPv6 addresses', () => {
+    assert.deepEqual(cidr.parseAddress('10.0.0.1'), [10, 0, 0, 1]);
+    assert.deepEqual(cidr.parseAddress('2001:db8::1'), [32, 1, 13, 184, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1]);
+    assert.deepEqual(cidr.parseAddress('::'), [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    assert.deepEqual(cidr.parseAddress('::ffff:10.0.0.1'), [10, 0, 0, 1]);
+  });
+
+  it('should not parse invalid addresses', () => {
+    ['256.0.0.1', '10.0.0', '1::2::3', '1:2:3:4:5:6:7:8:9', '12345::', 'foo', '', undefined].forEach(address => {
+      assert.isUndefined(cidr.parseAddress(address), address);
+    });
+  });
+
+  it('should match the IPv4 ranges', () => {
+    assert.ok(contains('10.0.0.0/8', '10.2.3.4'));
+    assert.notOk(contains('10.0.0.0/8', '11.2.3.4'));
+    assert.ok(contains('192.168.1.128/25', '192.168.1.200'));
+    assert.notOk(contains('192.168.1.128/25', '192.168.1.100'));
+    assert.ok(contains('0.0.0.0/0', '1.2.3.4'));
+    assert.ok(contains('1.2.3.4/32', '1.2.3.4'));
+  });
+
+  it('should match the IPv6 ranges', () => {
+    assert.ok(contains('2001:db8::/32', '2001:db8:1::1'));
+    assert.notOk(contains('2001:db8::/32', '2001:db9::1'));
+    assert.notOk(contains('::/0', '10.0.0.1'));
+  });
+
+  it('should match the IPv4-mapped IPv6 addresses', () => {
+    assert.ok(contains('10.0.0.0/8', '::ffff:10.1.1.1'));
+    assert.ok(contains('::ffff:10.0.0.0/104', '10.1.1.1'));
+  });
+
+  it('should not parse invalid ranges', () => {
+    ['10.0.0.0/33', '2001:db8::/129', '10.0.0.0', 'a/8'].forEach(range => {
+      assert.isUndefined(cidr.parseRange(range), range);
+    });
+    assert.ok(cidr.isRangeLike('10.0.0.0/33'));
+    assert.notOk(cidr.isRangeLike('a/8'));
+  });
+});
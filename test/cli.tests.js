@@ -0,0 +1,123 @@
+const fs       = require('fs');
+const path     = require('path');
+const tmp      = require('tmp');
+const execFile = require('child_process').execFile;
+const LimitDB  = require('../');
+const assert   = require('chai').assert;
+
+const CLI = path.join(__dirname, '..', 'bin', 'limitdb');
+
+describe('limitdb cli', () => {
+  var config, dbPath;
+
+  const run = (args, callback) => {
+    execFile(process.execPath, [CLI, '--config', config].concat(args), { timeout: 20000 }, callback);
+  };
+
+  before((done) => {
+    const dir = tmp.dirSync().name;
+    config = path.join(dir, 'config.json');
+    dbPath = path.join(dir, 'db');
+    fs.writeFileSync(config, JSON.stringify({
+      path: dbPath,
+      types: {
+        ip: { size: 10, per_hour: 1 }
+      }
+    }));
+
+    LimitDB.open(require(config)).then(db => {
+      return db.take({ type: 'ip', key: '10.0.0.1', count: 3 })
+        .then(() => db.take({ type: 'ip', key: '10.0.0.2' }))
+        .then(() => db.close());
+    }).then(() => done(), done);
+  });
+
+  it('should list the types', (done) => {
+    run(['types'], (err, stdout) => {
+      if (err) { return done(err); }
+      const lines = stdout.trim().split('\n');
+      assert.match(lines[0], /^name\s+algorithm\s+size\s+per_interval\s+interval\s+overrides$/);
+      assert.match(lines[1], /^ip\s+token_bucket\s+10\s+1\s+3600000\s+0$/);
+      done();
+    });
+  });
+
+  it('should get a bucket as json', (done) => {
+    run(['--format', 'json', 'get', 'ip', '10.0.0.1'], (err, stdout) => {
+      if (err) { return done(err); }
+      const bucket = JSON.parse(stdout);
+      assert.equal(bucket.remaining, 7);
+      assert.equal(bucket.limit, 10);
+      done();
+    });
+  });
+
+  it('should count and dump the buckets', (done) => {
+    run(['--format', 'json', 'count', 'ip'], (err, stdout) => {
+      if (err) { return done(err); }
+      assert.equal(JSON.parse(stdout).count, 2);
+      run(['--format', 'json', 'dump', 'ip', '10.0.0.1'], (err, stdout) => {
+        if (err) { return done(err); }
+        const buckets = JSON.parse(stdout);
+        assert.lengthOf(buckets, 1);
+        assert.equal(buckets[0].key, '10.0.0.1');
+        assert.equal(Math.round(buckets[0].content), 7);
+        done();
+      });
+    });
+  });
+
+  it('should not modify the database with the read only commands', (done) => {
+    //leveldb rewrites its log and manifest on every open, the buckets are in the tables.
+    const tables = () => fs.readdirSync(dbPath)
+      .filter(file => path.extname(file) === '.ldb')
+      .map(file => ({ file, content: fs.readFileSync(path.join(dbPath, file), 'hex') }));
+
+    run(['types'], (err) => {
+      if (err) { return done(err); }
+      const before = tables();
+      assert.isAbove(before.length, 0);
+      run(['get', 'ip', '10.0.0.1'], (err) => {
+        if (err) { return done(err); }
+        run(['dump', 'ip'], (err) => {
+          if (err) { return done(err); }
+          assert.deepEqual(tables(), before);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should not create the database with the read only commands', (done) => {
+    const missing = path.join(path.dirname(dbPath), 'missing');
+    run(['--path', missing, 'get', 'ip', '10.0.0.1'], (err, stdout, stderr) => {
+      assert.equal(err.code, 1);
+      assert.match(stderr, /does not exist/);
+      assert.notOk(fs.existsSync(missing));
+      done();
+    });
+  });
+
+  it('should put and delete buckets', (done) => {
+    run(['--format', 'json', 'put', 'ip', '10.0.0.1', '2'], (err, stdout) => {
+      if (err) { return done(err); }
+      assert.equal(JSON.parse(stdout).remaining, 9);
+      run(['del', 'ip', '10.0.0.2'], (err) => {
+        if (err) { return done(err); }
+        run(['--format', 'json', 'count', 'ip'], (err, stdout) => {
+          if (err) { return done(err); }
+          assert.equal(JSON.parse(stdout).count, 1);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should print the usage', (done) => {
+    run(['foo'], (err, stdout, stderr) => {
+      assert.equal(err.code, 1);
+      assert.match(stderr, /^usage: limitdb/);
+      done();
+    });
+  });
+});
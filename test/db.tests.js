@@ -1,4 +1,7 @@
+const fs = require('fs');
+const path = require('path');
 const tmp = require('tmp');
+const PassThrough = require('stream').PassThrough;
 const LimitDB  = require('../');
 const MockDate = require('mockdate');
 const assert   = require('chai').assert;
@@ -38,6 +41,39 @@ const types = {
   ttl_test: {
     size: 10,
     ttl: 100
+  },
+  sliding_log: {
+    algorithm: 'sliding_window_log',
+    per_second: 5
+  },
+  sliding_counter: {
+    algorithm: 'sliding_window_counter',
+    per_second: 10
+  },
+  gcra: {
+    algorithm: 'gcra',
+    size: 10,
+    per_second: 5
+  },
+  exports: {
+    algorithm: 'concurrency',
+    size: 2,
+    lease_ttl: 1000
+  },
+  daily: {
+    per_calendar_day: 3,
+    timezone: 'America/New_York',
+    overrides: {
+      vip: {
+        size: 5
+      },
+      partner: {
+        per_calendar_day: 10
+      }
+    }
+  },
+  monthly: {
+    per_calendar_month: 2
   }
 };
 
@@ -53,6 +89,12 @@ const configs = {
       types,
       inMemory: true
     };
+  },
+  'memory': () => {
+    return {
+      types,
+      driver: 'memory'
+    };
   }
 };
 
@@ -73,6 +115,12 @@ describeForEachConfig((getConfig) => {
     assert.doesNotThrow(() => new LimitDB({ inMemory: true }), /path is required/);
   });
 
+  it('should throw an error listing every problem of the types', () => {
+    assert.throws(() => new LimitDB(Object.assign(getConfig(), {
+      types: { ip: { per_second: 'ten', size: -1 } }
+    })), LimitDB.errors.InvalidTypesError, 'invalid types configuration: types.ip.per_second must be a positive number, types.ip.size must be a non negative number');
+  });
+
   afterEach(function () {
     MockDate.reset();
   });
@@ -348,7 +396,7 @@ describeForEachConfig((getConfig) => {
 
   });
 
-  describe('PUT', function () {
+  describe('dry run', () => {
     var db;
 
     before(function(done) {
@@ -356,32 +404,26 @@ describeForEachConfig((getConfig) => {
       db.once('ready', done);
     });
 
-    it('should restore the bucket when reseting', (done) => {
-      const bucketKey = { type: 'ip',  key: '211.123.12.12'};
-      db.take(bucketKey, (err) => {
-        if (err) return done(err);
-        db.put(bucketKey, (err) => {
-          if (err) return done(err);
-          db.take(bucketKey, function (err, response) {
-            if (err) return done(err);
-            assert.equal(response.remaining, 9);
-            done();
-          });
-        });
-      });
-    });
-
-    it('should delete the element from the database when the bucket is full', done => {
-      //This was implemented before but failed after doing a PUT over a reseted bucket
-      const bucketKey = { type: 'ip',  key: '11.32.32.12'};
-      db.take(bucketKey, (err) => {
-        if (err) return done(err);
-        db.put(bucketKey, (err) => {
-          if (err) return done(err);
-          db.put(bucketKey, (err) => {
-            if (err) return done(err);
-            db._types[bucketKey.type].db.get(bucketKey.key, (err, result) => {
-              assert.isUndefined(result);
+    it('should not take the tokens', (done) => {
+      const now = 1425920267000;
+      const bucketKey = { type: 'ip', key: '50.1.1.1' };
+      MockDate.set(now);
+      db.take(Object.assign({ count: 8 }, bucketKey), (err) => {
+        if (err) { return done(err); }
+        db.take(Object.assign({ count: 2, dryRun: true }, bucketKey), (err, result) => {
+          if (err) { return done(err); }
+          assert.ok(result.conformant);
+          assert.equal(result.remaining, 0);
+          assert.equal(result.retryAfter, 0);
+          db.take(Object.assign({ count: 3, dryRun: true }, bucketKey), (err, result) => {
+            if (err) { return done(err); }
+            assert.notOk(result.conformant);
+            assert.equal(result.remaining, 2);
+            assert.equal(result.reset, now / 1000 + 2);
+            assert.equal(result.retryAfter, 200);
+            db.get(bucketKey, (err, result) => {
+              if (err) { return done(err); }
+              assert.equal(result.remaining, 2);
               done();
             });
           });
@@ -389,51 +431,50 @@ describeForEachConfig((getConfig) => {
       });
     });
 
-    it('should restore the bucket when reseting with all', (done) => {
-      const takeParams = { type: 'ip',  key: '21.17.65.41', count: 9 };
-      db.take(takeParams, (err) => {
-        if (err) return done(err);
-        db.put({ type: 'ip',  key: '21.17.65.41', count: 1, all: true }, (err) => {
-          if (err) return done(err);
-          db.take(takeParams, function (err, response) {
-            if (err) return done(err);
-            assert.equal(response.conformant, true);
-            assert.equal(response.remaining, 1);
-            done();
-          });
-        });
+    it('should use the overrides', (done) => {
+      db.take({ type: 'ip', key: '127.0.0.1', dryRun: true }, (err, result) => {
+        if (err) { return done(err); }
+        assert.ok(result.conformant);
+        assert.equal(result.remaining, 99);
+        assert.equal(result.limit, 100);
+        done();
       });
     });
 
-    it('should be able to reset without callback', (done) => {
-      const bucketKey = { type: 'ip',  key: '211.123.12.12'};
-      db.take(bucketKey, (err) => {
-        if (err) return done(err);
-        db.put(bucketKey);
-        setImmediate(() => {
-          db.take(bucketKey, function (err, response) {
-            if (err) return done(err);
-            assert.equal(response.remaining, 9);
-            done();
-          });
+    it('should not write the bucket', (done) => {
+      db.take({ type: 'ip', key: '50.1.1.2', dryRun: true }, (err) => {
+        if (err) { return done(err); }
+        db._types.ip.db.get('50.1.1.2', (err, value) => {
+          assert.isUndefined(value);
+          done();
         });
       });
     });
 
-    it('should work for a fixed bucket', (done) => {
-      db.take({ type: 'ip', key: '8.8.8.8' }, function (err, result) {
+    it('should not acquire leases', (done) => {
+      db.take({ type: 'exports', key: 'tenant1', count: 2, dryRun: true }, (err, result) => {
+        if (err) { return done(err); }
         assert.ok(result.conformant);
-        db.put({ type: 'ip', key: '8.8.8.8' }, function (err, result) {
-          if (err) return done(err);
-          assert.equal(result.remaining, 10);
-          // assert.isUndefined(result.reset);
+        assert.isUndefined(result.lease);
+        db.take({ type: 'exports', key: 'tenant1', count: 2 }, (err, result) => {
+          if (err) { return done(err); }
+          assert.ok(result.conformant);
           done();
         });
       });
     });
+
+    it('should omit retryAfter when the count is bigger than the bucket', (done) => {
+      db.take({ type: 'gcra', key: 'a', count: 11, dryRun: true }, (err, result) => {
+        if (err) { return done(err); }
+        assert.notOk(result.conformant);
+        assert.notProperty(result, 'retryAfter');
+        done();
+      });
+    });
   });
 
-  describe('GET', function () {
+  describe('sliding window log', () => {
     var db;
 
     before(function(done) {
@@ -441,27 +482,49 @@ describeForEachConfig((getConfig) => {
       db.once('ready', done);
     });
 
-    it('should get the current value of the key', (done) => {
-      const bucketKey = { type: 'ip',  key: '211.123.12.12'};
-      db.get(bucketKey, (err, res) => {
-        if (err) return done(err);
-        assert.equal(res.remaining, 10);
-        assert.equal(res.limit, 10);
-
-        db.take(bucketKey, (err) => {
-          if (err) return done(err);
-
-          db.get(bucketKey, (err, res) => {
-            if (err) return done(err);
-            assert.equal(res.remaining, 9);
-            assert.equal(res.limit, 10);
+    it('should not allow more than size tokens within the window', (done) => {
+      const now = 1425920267000;
+      const bucketKey = { type: 'sliding_log', key: 'a' };
+      MockDate.set(now);
+      async.mapSeries(_.range(5), (i, cb) => db.take(bucketKey, cb), (err, results) => {
+        if (err) { return done(err); }
+        assert.ok(results.every(r => r.conformant));
+        assert.deepEqual(results.map(r => r.remaining), [4, 3, 2, 1, 0]);
+        assert.equal(results[4].reset, Math.ceil((now + 1000) / 1000));
+        MockDate.set(now + 999);
+        db.take(bucketKey, (err, result) => {
+          if (err) { return done(err); }
+          assert.notOk(result.conformant);
+          assert.equal(result.remaining, 0);
+          assert.equal(result.limit, 5);
+          MockDate.set(now + 1000);
+          db.take(bucketKey, (err, result) => {
+            if (err) { return done(err); }
+            assert.ok(result.conformant);
+            assert.equal(result.remaining, 4);
+            done();
+          });
+        });
+      });
+    });
 
-            // Double check to make sure the value doesn't change.
-            db.get(bucketKey, (err, res) => {
-              if (err) return done(err);
-              assert.equal(res.remaining, 9);
-              assert.equal(res.limit, 10);
-              return done();
+    it('should return the tokens on put and report them on get and status', (done) => {
+      const now = 1425920267000;
+      const bucketKey = { type: 'sliding_log', key: 'b' };
+      MockDate.set(now);
+      db.take(Object.assign({ count: 3 }, bucketKey), (err) => {
+        if (err) { return done(err); }
+        db.put(Object.assign({ count: 1 }, bucketKey), (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.remaining, 3);
+          db.get(bucketKey, (err, result) => {
+            if (err) { return done(err); }
+            assert.equal(result.remaining, 3);
+            db.status({ type: 'sliding_log', prefix: 'b' }, (err, result) => {
+              if (err) { return done(err); }
+              assert.equal(result.items.length, 1);
+              assert.equal(result.items[0].remaining, 3);
+              done();
             });
           });
         });
@@ -469,7 +532,7 @@ describeForEachConfig((getConfig) => {
     });
   });
 
-  describe('STATUS', function () {
+  describe('sliding window counter', () => {
     var db;
 
     before(function(done) {
@@ -477,45 +540,52 @@ describeForEachConfig((getConfig) => {
       db.once('ready', done);
     });
 
-    it('should return a list of buckets matching the prefix', (done) => {
-      const now = 1425920267;
-      MockDate.set(now * 1000);
-      async.map(_.range(10), (i, done) => {
-        db.take({ type: 'ip', key: `some-prefix-${i}` }, done);
-      }, (err, results) => {
-        if (err) return done(err);
-        assert.ok(results.every(r => r.conformant));
-        db.status({ type: 'ip', prefix: 'some-prefix' }, (err, result) => {
+    it('should weight the previous window', (done) => {
+      const now = 1425920267000;
+      const bucketKey = { type: 'sliding_counter', key: 'a' };
+      MockDate.set(now);
+      db.take(Object.assign({ count: 10 }, bucketKey), (err, result) => {
+        if (err) { return done(err); }
+        assert.ok(result.conformant);
+        assert.equal(result.remaining, 0);
+        assert.equal(result.reset, now / 1000 + 2);
+        MockDate.set(now + 1500);
+        db.get(bucketKey, (err, result) => {
           if (err) { return done(err); }
-          assert.equal(result.items.length, 10);
-          for(var i = 0; i < 10; i++) {
-            assert.equal(result.items[i].key, `some-prefix-${i}`);
-            assert.equal(result.items[i].limit, 10);
-            assert.equal(result.items[i].remaining, 9);
-            assert.equal(result.items[i].reset, now + 1);
-          }
-          done();
+          assert.equal(result.remaining, 5);
+          db.take(Object.assign({ count: 5 }, bucketKey), (err, result) => {
+            if (err) { return done(err); }
+            assert.ok(result.conformant);
+            assert.equal(result.remaining, 0);
+            db.take(bucketKey, (err, result) => {
+              if (err) { return done(err); }
+              assert.notOk(result.conformant);
+              assert.equal(result.limit, 10);
+              done();
+            });
+          });
         });
       });
     });
 
-    it('should drip on status', (done) => {
-      const now = 1425920267;
-      MockDate.set(now * 1000);
-
-      db.take({ type: 'ip', key: `187.213.89.1`, count: 10 }, (err) => {
+    it('should forget windows older than the previous one', (done) => {
+      const now = 1425920267000;
+      const bucketKey = { type: 'sliding_counter', key: 'b' };
+      MockDate.set(now);
+      db.take(Object.assign({ count: 10 }, bucketKey), (err) => {
         if (err) { return done(err); }
-        MockDate.set((now + 1) * 1000);
-        db.status({ type: 'ip', prefix: '187.213.89.1' }, (err, status) => {
+        MockDate.set(now + 2000);
+        db.take(bucketKey, (err, result) => {
           if (err) { return done(err); }
-          assert.equal(status.items[0].remaining, 5);
+          assert.ok(result.conformant);
+          assert.equal(result.remaining, 9);
           done();
         });
       });
     });
   });
 
-  describe('WAIT', function () {
+  describe('gcra', () => {
     var db;
 
     before(function(done) {
@@ -523,59 +593,58 @@ describeForEachConfig((getConfig) => {
       db.once('ready', done);
     });
 
-    it('should work with a simple request', (done) => {
-      var now = 1425920267;
-      MockDate.set(now * 1000);
-      db.wait({ type: 'ip', key: '211.76.23.4' }, (err, response) => {
-        if (err) return done(err);
-        assert.ok(response.conformant);
-        assert.notOk(response.delayed);
-
-
-        assert.equal(response.remaining, 9);
-        assert.equal(response.reset, now + 1);
-
-        done();
+    it('should allow bursts of size and report retryAfter', (done) => {
+      const now = 1425920267000;
+      const bucketKey = { type: 'gcra', key: 'a' };
+      MockDate.set(now);
+      async.mapSeries(_.range(10), (i, cb) => db.take(bucketKey, cb), (err, results) => {
+        if (err) { return done(err); }
+        assert.ok(results.every(r => r.conformant));
+        assert.deepEqual(results.map(r => r.remaining), [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]);
+        assert.equal(results[9].reset, now / 1000 + 2);
+        assert.isUndefined(results[9].retryAfter);
+        MockDate.set(now + 50);
+        db.take(Object.assign({ count: 2 }, bucketKey), (err, result) => {
+          if (err) { return done(err); }
+          assert.notOk(result.conformant);
+          assert.equal(result.remaining, 0);
+          assert.equal(result.limit, 10);
+          assert.equal(result.retryAfter, 350);
+          MockDate.set(now + 400);
+          db.take(Object.assign({ count: 2 }, bucketKey), (err, result) => {
+            if (err) { return done(err); }
+            assert.ok(result.conformant);
+            assert.equal(result.remaining, 0);
+            done();
+          });
+        });
       });
     });
 
-    it('should be delayed when traffic is non conformant', function (done) {
-      db.take({
-        type: 'ip',
-        key: '211.76.23.5',
-        count: 10
-      }, (err) => {
-        if (err) return done(err);
-        const waitingSince = Date.now();
-        db.wait({
-          type: 'ip',
-          key: '211.76.23.5',
-          count: 3
-        }, function (err, response) {
+    it('should store only the theoretical arrival time', (done) => {
+      const now = 1425920267000;
+      MockDate.set(now);
+      db.take({ type: 'gcra', key: 'b', count: 4 }, (err) => {
+        if (err) { return done(err); }
+        db._types.gcra.db.get('b', (err, value) => {
           if (err) { return done(err); }
-          var waited = Date.now() - waitingSince;
-          assert.ok(response.conformant);
-          assert.ok(response.delayed);
-          assert.closeTo(waited, 600, 20);
-          done();
+          assert.deepEqual(value, { tat: now + 800, algorithm: 'gcra' });
+          db.put({ type: 'gcra', key: 'b', count: 2 }, (err, result) => {
+            if (err) { return done(err); }
+            assert.equal(result.remaining, 8);
+            db.get({ type: 'gcra', key: 'b' }, (err, result) => {
+              if (err) { return done(err); }
+              assert.equal(result.remaining, 8);
+              assert.equal(result.reset, now / 1000 + 1);
+              done();
+            });
+          });
         });
       });
     });
   });
 
-  describe('isOpen', function() {
-    it('should return false when initializing', function() {
-      const db = new LimitDB(getConfig());
-      assert.notOk(db.isOpen());
-    });
-
-    it('should return true when is ready', function() {
-      const db = new LimitDB(getConfig());
-      db.once('ready', () => assert.ok(db.isOpen()));
-    });
-  });
-
-  describe('close', function() {
+  describe('concurrency', () => {
     var db;
 
     before(function(done) {
@@ -583,35 +652,2133 @@ describeForEachConfig((getConfig) => {
       db.once('ready', done);
     });
 
-    it('should close the underlying levelup and call the callback', (done) => {
-      db.close((err) => {
+    it('should limit the number of leases', (done) => {
+      const bucketKey = { type: 'exports', key: 'tenant1' };
+      async.mapSeries(_.range(3), (i, cb) => db.take(bucketKey, cb), (err, results) => {
         if (err) { return done(err); }
-        assert.isOk(db._db.isClosed());
-        done();
+        assert.ok(results[0].conformant);
+        assert.ok(results[1].conformant);
+        assert.notOk(results[2].conformant);
+        assert.isString(results[0].lease);
+        assert.notEqual(results[0].lease, results[1].lease);
+        assert.isUndefined(results[2].lease);
+        assert.equal(results[1].remaining, 0);
+        assert.equal(results[1].limit, 2);
+
+        db.release(Object.assign({ lease: results[0].lease }, bucketKey), (err, released) => {
+          if (err) { return done(err); }
+          assert.ok(released.released);
+          assert.equal(released.remaining, 1);
+
+          db.release(Object.assign({ lease: results[0].lease }, bucketKey), (err, released) => {
+            if (err) { return done(err); }
+            assert.notOk(released.released);
+
+            db.take(bucketKey, (err, result) => {
+              if (err) { return done(err); }
+              assert.ok(result.conformant);
+              assert.equal(result.remaining, 0);
+              done();
+            });
+          });
+        });
       });
     });
-  });
 
-  describe('close when is not ready', function() {
-    it('should close the underlying db and call the callback once is ready', (done) => {
-      var ready;
-      var db = new LimitDB(getConfig());
-      db.once('ready', () => ready = true);
-      db.close((err) => {
+    it('should reclaim expired leases', (done) => {
+      const now = 1425920267000;
+      const bucketKey = { type: 'exports', key: 'tenant2' };
+      MockDate.set(now);
+      db.take(Object.assign({ count: 2 }, bucketKey), (err, result) => {
         if (err) { return done(err); }
-        assert.isOk(ready);
-        assert.isOk(db._db.isClosed());
+        assert.ok(result.conformant);
+        assert.equal(result.reset, now / 1000 + 1);
+        MockDate.set(now + 1000);
+        db.take(bucketKey, (err, result) => {
+          if (err) { return done(err); }
+          assert.ok(result.conformant);
+          assert.equal(result.remaining, 1);
+          done();
+        });
+      });
+    });
+
+    it('should remove the bucket once every lease is released', (done) => {
+      const bucketKey = { type: 'exports', key: 'tenant3' };
+      db.take(bucketKey, (err, result) => {
+        if (err) { return done(err); }
+        db.release(Object.assign({ lease: result.lease }, bucketKey), (err) => {
+          if (err) { return done(err); }
+          db._types.exports.db.get('tenant3', (err, value) => {
+            assert.isUndefined(value);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should fail to release on types without leases', (done) => {
+      db.release({ type: 'ip', key: '1.1.1.1', lease: 'foo' }, (err) => {
+        assert.match(err.message, /does not use leases/);
+        done();
+      });
+    });
+
+    it('should fail to release without lease', (done) => {
+      db.release({ type: 'exports', key: 'tenant1' }, (err) => {
+        assert.match(err.message, /lease is required/);
         done();
       });
     });
   });
 
-  describe('close when is closed', function() {
+  describe('calendar quotas', () => {
     var db;
 
     before(function(done) {
       db = new LimitDB(getConfig());
-      db.once('ready', () => db.close(done));
+      db.once('ready', done);
+    });
+
+    it('should refill the bucket at midnight in the timezone', (done) => {
+      const now = Date.UTC(2020, 2, 10, 15);
+      const midnight = Date.UTC(2020, 2, 11, 4);
+      const bucketKey = { type: 'daily', key: 'customer1' };
+      MockDate.set(now);
+      async.mapSeries(_.range(4), (i, cb) => db.take(bucketKey, cb), (err, results) => {
+        if (err) { return done(err); }
+        assert.deepEqual(results.map(r => r.conformant), [true, true, true, false]);
+        assert.equal(results[2].remaining, 0);
+        assert.equal(results[2].reset, midnight / 1000);
+        assert.equal(results[2].limit, 3);
+        MockDate.set(midnight - 1);
+        db.take(bucketKey, (err, result) => {
+          if (err) { return done(err); }
+          assert.notOk(result.conformant);
+          MockDate.set(midnight);
+          db.take(bucketKey, (err, result) => {
+            if (err) { return done(err); }
+            assert.ok(result.conformant);
+            assert.equal(result.remaining, 2);
+            assert.equal(result.reset, Date.UTC(2020, 2, 12, 4) / 1000);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should inherit the period and the timezone in the overrides', (done) => {
+      const midnight = Date.UTC(2020, 2, 11, 4) / 1000;
+      MockDate.set(Date.UTC(2020, 2, 10, 15));
+      async.map(['vip', 'partner'], (key, cb) => db.take({ type: 'daily', key }, cb), (err, results) => {
+        if (err) { return done(err); }
+        assert.equal(results[0].limit, 5);
+        assert.equal(results[0].remaining, 4);
+        assert.equal(results[0].reset, midnight);
+        assert.equal(results[1].limit, 10);
+        assert.equal(results[1].remaining, 9);
+        assert.equal(results[1].reset, midnight);
+        done();
+      });
+    });
+
+    it('should refill the bucket on the first day of the month', (done) => {
+      const bucketKey = { type: 'monthly', key: 'customer1' };
+      MockDate.set(Date.UTC(2020, 0, 31, 23));
+      db.take(Object.assign({ count: 2 }, bucketKey), (err, result) => {
+        if (err) { return done(err); }
+        assert.ok(result.conformant);
+        assert.equal(result.reset, Date.UTC(2020, 1, 1) / 1000);
+        MockDate.set(Date.UTC(2020, 1, 1));
+        db.get(bucketKey, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.remaining, 2);
+          done();
+        });
+      });
+    });
+
+    it('should wait longer than the maximum delay of a timer', (done) => {
+      const bucketKey = { type: 'monthly', key: 'customer2' };
+      const takeFromBucket = db._takeFromBucket;
+      var takes = 0;
+      MockDate.set(Date.UTC(2020, 2, 1));
+      db.take(Object.assign({ count: 2 }, bucketKey), (err) => {
+        if (err) { return done(err); }
+        db._takeFromBucket = function() {
+          takes++;
+          return takeFromBucket.apply(this, arguments);
+        };
+        db.wait(Object.assign({ timeout: 50 }, bucketKey), (err) => {
+          delete db._takeFromBucket;
+          assert.instanceOf(err, LimitDB.errors.WaitTimeoutError);
+          assert.equal(takes, 1);
+          done();
+        });
+      });
+    });
+
+    it('should expire the bucket at the boundary', () => {
+      MockDate.set(Date.UTC(2020, 0, 31, 23));
+      assert.equal(db._types.monthly.ttl(), ms('1h'));
+    });
+  });
+
+  describe('takeMany', () => {
+    var db;
+
+    before(function(done) {
+      db = new LimitDB(getConfig());
+      db.once('ready', done);
+    });
+
+    it('should take from every bucket', (done) => {
+      MockDate.set(1425920267000);
+      db.takeMany([
+        { type: 'ip', key: '40.1.1.1', count: 3 },
+        { type: 'exports', key: 'tenant1' }
+      ], (err, response) => {
+        if (err) { return done(err); }
+        assert.ok(response.conformant);
+        assert.equal(response.results[0].remaining, 7);
+        assert.equal(response.results[0].limit, 10);
+        assert.equal(response.results[1].remaining, 1);
+        assert.isString(response.results[1].lease);
+        db.get({ type: 'ip', key: '40.1.1.1' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.remaining, 7);
+          done();
+        });
+      });
+    });
+
+    it('should not take from any bucket if one is not conformant', (done) => {
+      MockDate.set(1425920267000);
+      db.takeMany([
+        { type: 'ip', key: '40.1.1.2', count: 3 },
+        { type: 'exports', key: 'tenant2', count: 3 }
+      ], (err, response) => {
+        if (err) { return done(err); }
+        assert.notOk(response.conformant);
+        assert.ok(response.results[0].conformant);
+        assert.equal(response.results[0].remaining, 10);
+        assert.notOk(response.results[1].conformant);
+        assert.equal(response.results[1].remaining, 2);
+        db.get({ type: 'ip', key: '40.1.1.2' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.remaining, 10);
+          done();
+        });
+      });
+    });
+
+    it('should take from the same bucket several times', (done) => {
+      MockDate.set(1425920267000);
+      db.takeMany([
+        { type: 'ip', key: '40.1.1.3', count: 6 },
+        { type: 'ip', key: '40.1.1.3', count: 5 }
+      ], (err, response) => {
+        if (err) { return done(err); }
+        assert.notOk(response.conformant);
+        assert.deepEqual(response.results.map(r => r.conformant), [true, false]);
+        db.takeMany([
+          { type: 'ip', key: '40.1.1.3', count: 6 },
+          { type: 'ip', key: '40.1.1.3', count: 4 }
+        ], (err, response) => {
+          if (err) { return done(err); }
+          assert.ok(response.conformant);
+          assert.equal(response.results[0].remaining, 4);
+          assert.equal(response.results[1].remaining, 0);
+          done();
+        });
+      });
+    });
+
+    it('should serialize concurrent takes on the same bucket', (done) => {
+      MockDate.set(1425920267000);
+      async.parallel([
+        cb => db.takeMany([{ type: 'ip', key: '40.1.1.4', count: 6 }], cb),
+        cb => db.take({ type: 'ip', key: '40.1.1.4', count: 6 }, cb),
+        cb => db.takeMany([{ type: 'ip', key: '40.1.1.4', count: 4 }], cb)
+      ], (err, results) => {
+        if (err) { return done(err); }
+        assert.ok(results[0].conformant);
+        assert.notOk(results[1].conformant);
+        assert.ok(results[2].conformant);
+        assert.equal(results[2].results[0].remaining, 0);
+        done();
+      });
+    });
+
+    it('should fail when a type is undefined', (done) => {
+      db.takeMany([
+        { type: 'ip', key: '40.1.1.5' },
+        { type: 'cc', key: '40.1.1.5' }
+      ], (err) => {
+        assert.match(err.message, /undefined bucket type cc/);
+        done();
+      });
+    });
+  });
+
+  describe('PUT', function () {
+    var db;
+
+    before(function(done) {
+      db = new LimitDB(getConfig());
+      db.once('ready', done);
+    });
+
+    it('should restore the bucket when reseting', (done) => {
+      const bucketKey = { type: 'ip',  key: '211.123.12.12'};
+      db.take(bucketKey, (err) => {
+        if (err) return done(err);
+        db.put(bucketKey, (err) => {
+          if (err) return done(err);
+          db.take(bucketKey, function (err, response) {
+            if (err) return done(err);
+            assert.equal(response.remaining, 9);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should delete the element from the database when the bucket is full', done => {
+      //This was implemented before but failed after doing a PUT over a reseted bucket
+      const bucketKey = { type: 'ip',  key: '11.32.32.12'};
+      db.take(bucketKey, (err) => {
+        if (err) return done(err);
+        db.put(bucketKey, (err) => {
+          if (err) return done(err);
+          db.put(bucketKey, (err) => {
+            if (err) return done(err);
+            db._types[bucketKey.type].db.get(bucketKey.key, (err, result) => {
+              assert.isUndefined(result);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should restore the bucket when reseting with all', (done) => {
+      const takeParams = { type: 'ip',  key: '21.17.65.41', count: 9 };
+      db.take(takeParams, (err) => {
+        if (err) return done(err);
+        db.put({ type: 'ip',  key: '21.17.65.41', count: 1, all: true }, (err) => {
+          if (err) return done(err);
+          db.take(takeParams, function (err, response) {
+            if (err) return done(err);
+            assert.equal(response.conformant, true);
+            assert.equal(response.remaining, 1);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should be able to reset without callback', (done) => {
+      const bucketKey = { type: 'ip',  key: '211.123.12.12'};
+      db.take(bucketKey, (err) => {
+        if (err) return done(err);
+        db.put(bucketKey);
+        setImmediate(() => {
+          db.take(bucketKey, function (err, response) {
+            if (err) return done(err);
+            assert.equal(response.remaining, 9);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should work for a fixed bucket', (done) => {
+      db.take({ type: 'ip', key: '8.8.8.8' }, function (err, result) {
+        assert.ok(result.conformant);
+        db.put({ type: 'ip', key: '8.8.8.8' }, function (err, result) {
+          if (err) return done(err);
+          assert.equal(result.remaining, 10);
+          // assert.isUndefined(result.reset);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('runtime overrides', () => {
+    var db;
+
+    before(function(done) {
+      db = new LimitDB(getConfig());
+      db.once('ready', done);
+    });
+
+    it('should apply the override to the key', (done) => {
+      db.setOverride({ type: 'ip', key: '60.1.1.1', size: 20, per_second: 20 }, (err) => {
+        if (err) { return done(err); }
+        db.take({ type: 'ip', key: '60.1.1.1' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.limit, 20);
+          assert.equal(result.remaining, 19);
+          done();
+        });
+      });
+    });
+
+    it('should take precedence over the configuration', (done) => {
+      db.take({ type: 'ip', key: '127.0.0.1' }, (err, result) => {
+        if (err) { return done(err); }
+        assert.equal(result.limit, 100);
+        db.setOverride({ type: 'ip', key: '127.0.0.1', size: 3 }, (err) => {
+          if (err) { return done(err); }
+          db.take({ type: 'ip', key: '127.0.0.1' }, (err, result) => {
+            if (err) { return done(err); }
+            assert.equal(result.limit, 3);
+            db.removeOverride({ type: 'ip', key: '127.0.0.1' }, (err, result) => {
+              if (err) { return done(err); }
+              assert.ok(result.removed);
+              db.take({ type: 'ip', key: '127.0.0.1' }, (err, result) => {
+                if (err) { return done(err); }
+                assert.equal(result.limit, 100);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should apply overrides with match', (done) => {
+      db.setOverride({ type: 'ip', match: /^61\./, size: 7 }, (err) => {
+        if (err) { return done(err); }
+        db.take({ type: 'ip', key: '61.1.1.1' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.limit, 7);
+          db.listOverrides({ type: 'ip' }, (err, overrides) => {
+            if (err) { return done(err); }
+            const override = _.find(overrides, o => o.match);
+            assert.instanceOf(override.match, RegExp);
+            assert.equal(override.match.source, '^61\\.');
+            assert.equal(override.size, 7);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should apply overrides with a global match to every key', (done) => {
+      db.setOverride({ type: 'ip', match: /^62\./g, size: 7 }, (err) => {
+        if (err) { return done(err); }
+        async.mapSeries(['62.1.1.1', '62.1.1.2'], (key, cb) => db.take({ type: 'ip', key }, cb), (err, results) => {
+          if (err) { return done(err); }
+          assert.deepEqual(results.map(r => r.limit), [7, 7]);
+          db.removeOverride({ type: 'ip', match: /^62\./g }, (err, result) => {
+            if (err) { return done(err); }
+            assert.ok(result.removed);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should fail with an invalid match', (done) => {
+      db.setOverride({ type: 'ip', match: '(', size: 7 }, (err) => {
+        assert.match(err.message, /Invalid regular expression/);
+        db.removeOverride({ type: 'ip', match: '(' }, (err) => {
+          assert.match(err.message, /Invalid regular expression/);
+          done();
+        });
+      });
+    });
+
+    it('should ignore expired overrides', (done) => {
+      const until = new Date(Date.now() - ms('1h'));
+      db.setOverride({ type: 'ip', key: '60.1.1.2', size: 20, until }, (err) => {
+        if (err) { return done(err); }
+        db.take({ type: 'ip', key: '60.1.1.2' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.limit, 10);
+          done();
+        });
+      });
+    });
+
+    it('should fail with invalid overrides', (done) => {
+      db.setOverride({ type: 'ip', key: '60.1.1.3', algorithm: 'foo' }, (err) => {
+        assert.match(err.message, /unknown algorithm foo/);
+        db.setOverride({ type: 'ip' }, (err) => {
+          assert.match(err.message, /key or match is required/);
+          db.setOverride({ type: 'cc', key: '60.1.1.3' }, (err) => {
+            assert.match(err.message, /undefined bucket type cc/);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not remove missing overrides', (done) => {
+      db.removeOverride({ type: 'ip', key: '60.1.1.4' }, (err, result) => {
+        if (err) { return done(err); }
+        assert.notOk(result.removed);
+        done();
+      });
+    });
+
+    it('should keep the overrides after loading the types', (done) => {
+      db.loadTypes(types);
+      db.take({ type: 'ip', key: '60.1.1.1' }, (err, result) => {
+        if (err) { return done(err); }
+        assert.equal(result.limit, 20);
+        done();
+      });
+    });
+
+    it('should keep the overrides after a restart', function(done) {
+      const config = getConfig();
+      if (!config.path) {
+        return this.skip();
+      }
+      const first = new LimitDB(config);
+      first.once('ready', () => {
+        first.setOverride({ type: 'ip', key: '60.1.1.5', size: 30 }, (err) => {
+          if (err) { return done(err); }
+          first.close((err) => {
+            if (err) { return done(err); }
+            const second = new LimitDB(config);
+            second.once('ready', () => {
+              second.take({ type: 'ip', key: '60.1.1.5' }, (err, result) => {
+                if (err) { return done(err); }
+                assert.equal(result.limit, 30);
+                second.close(done);
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('allow and deny lists', () => {
+    var db;
+
+    before(function(done) {
+      db = new LimitDB(Object.assign(getConfig(), {
+        types: Object.assign({
+          guarded: {
+            size: 2,
+            per_hour: 2,
+            allow: ['10.9.0.0/16', /^internal-/, 'admin'],
+            deny: ['203.0.113.0/24', '2001:db8::/32', 'evil', '10.9.9.9']
+          }
+        }, types)
+      }));
+      db.once('ready', done);
+    });
+
+    const takeKeys = (keys, callback) => {
+      async.mapSeries(keys, (key, cb) => db.take({ type: 'guarded', key }, cb), callback);
+    };
+
+    it('should not be conformant for the denied keys', (done) => {
+      takeKeys(['evil', '203.0.113.7', '2001:db8:1::1', '::ffff:203.0.113.8'], (err, results) => {
+        if (err) { return done(err); }
+        results.forEach(result => {
+          assert.notOk(result.conformant);
+          assert.equal(result.remaining, 0);
+          assert.equal(result.limit, 0);
+        });
+        done();
+      });
+    });
+
+    it('should deny the keys in both lists', (done) => {
+      db.take({ type: 'guarded', key: '10.9.9.9' }, (err, result) => {
+        if (err) { return done(err); }
+        assert.notOk(result.conformant);
+        assert.equal(result.limit, 0);
+        done();
+      });
+    });
+
+    it('should not limit the allowed keys', (done) => {
+      takeKeys(['10.9.1.1', '10.9.1.1', '10.9.1.1', 'internal-1', 'internal-1', 'internal-1', 'admin'], (err, results) => {
+        if (err) { return done(err); }
+        results.forEach(result => {
+          assert.ok(result.conformant);
+          assert.equal(result.remaining, 2);
+        });
+        done();
+      });
+    });
+
+    it('should limit the other keys', (done) => {
+      takeKeys(['10.8.1.1', '10.8.1.1', '10.8.1.1', '203.0.114.1'], (err, results) => {
+        if (err) { return done(err); }
+        assert.deepEqual(_.map(results, 'conformant'), [true, true, false, true]);
+        done();
+      });
+    });
+
+    it('should not take from the other buckets of takeMany', (done) => {
+      db.takeMany([
+        { type: 'ip', key: '62.1.1.1' },
+        { type: 'guarded', key: 'evil' }
+      ], (err, result) => {
+        if (err) { return done(err); }
+        assert.notOk(result.conformant);
+        assert.ok(result.results[0].conformant);
+        assert.equal(result.results[1].limit, 0);
+        db.get({ type: 'ip', key: '62.1.1.1' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.remaining, 10);
+          done();
+        });
+      });
+    });
+
+    it('should fail the waits of the denied keys', (done) => {
+      db.wait({ type: 'guarded', key: 'evil' }, (err) => {
+        assert.instanceOf(err, LimitDB.errors.KeyDeniedError);
+        assert.equal(err.code, 'ERR_KEY_DENIED');
+        done();
+      });
+    });
+
+    it('should not put tokens in the buckets of the denied keys', (done) => {
+      db.put({ type: 'guarded', key: 'evil' }, (err, result) => {
+        if (err) { return done(err); }
+        assert.equal(result.remaining, 0);
+        assert.equal(result.limit, 0);
+        db.get({ type: 'guarded', key: 'evil' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.limit, 0);
+          done();
+        });
+      });
+    });
+
+    it('should add and remove entries at runtime', (done) => {
+      db.take({ type: 'ip', key: '62.1.1.2' }, (err, result) => {
+        if (err) { return done(err); }
+        assert.ok(result.conformant);
+        db.addListEntry({ type: 'ip', list: 'deny', key: '62.1.1.0/24' }, (err) => {
+          if (err) { return done(err); }
+          db.take({ type: 'ip', key: '62.1.1.2' }, (err, result) => {
+            if (err) { return done(err); }
+            assert.notOk(result.conformant);
+            assert.equal(result.limit, 0);
+            db.removeListEntry({ type: 'ip', list: 'deny', key: '62.1.1.0/24' }, (err, result) => {
+              if (err) { return done(err); }
+              assert.ok(result.removed);
+              db.take({ type: 'ip', key: '62.1.1.2' }, (err, result) => {
+                if (err) { return done(err); }
+                assert.ok(result.conformant);
+                assert.equal(result.remaining, 8);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should list the runtime entries', (done) => {
+      async.series([
+        cb => db.addListEntry({ type: 'ip', list: 'allow', match: /^monitor-/ }, cb),
+        cb => db.addListEntry({ type: 'guarded', list: 'deny', key: 'spammer' }, cb)
+      ], (err) => {
+        if (err) { return done(err); }
+        db.listEntries({ type: 'ip' }, (err, entries) => {
+          if (err) { return done(err); }
+          assert.lengthOf(entries, 1);
+          assert.equal(entries[0].list, 'allow');
+          assert.instanceOf(entries[0].match, RegExp);
+          assert.equal(entries[0].match.source, '^monitor-');
+          takeKeys(['spammer'], (err, results) => {
+            if (err) { return done(err); }
+            assert.notOk(results[0].conformant);
+            db.take({ type: 'ip', key: 'monitor-1', count: 20 }, (err, result) => {
+              if (err) { return done(err); }
+              assert.ok(result.conformant);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should keep the runtime entries after loading the types', (done) => {
+      db.loadTypes(Object.assign({ guarded: { size: 2, per_hour: 2 } }, types));
+      takeKeys(['spammer', 'evil'], (err, results) => {
+        if (err) { return done(err); }
+        assert.notOk(results[0].conformant);
+        assert.ok(results[1].conformant);
+        done();
+      });
+    });
+
+    it('should fail with invalid entries', (done) => {
+      db.addListEntry({ type: 'ip', list: 'foo', key: 'a' }, (err) => {
+        assert.match(err.message, /list must be allow or deny/);
+        db.addListEntry({ type: 'ip', list: 'deny' }, (err) => {
+          assert.match(err.message, /key or match is required/);
+          db.addListEntry({ type: 'ip', list: 'deny', key: '10.0.0.0/33' }, (err) => {
+            assert.match(err.message, /invalid CIDR range 10\.0\.0\.0\/33/);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('parent buckets', () => {
+    var db;
+
+    before(function(done) {
+      db = new LimitDB(Object.assign(getConfig(), {
+        types: Object.assign({
+          tenant: { size: 3, per_hour: 3 },
+          user: { size: 2, per_hour: 2, parent: { type: 'tenant', pattern: 'user:{tenant}:{id}', key: 'tenant:{tenant}' } },
+          session: { size: 5, per_hour: 5, parent: { type: 'user', key: key => key.split('/')[0] } },
+          global: { size: 1, per_interval: 1, interval: 100 },
+          client: { size: 10, per_second: 10, parent: { type: 'global', key: 'all' } }
+        }, types)
+      }));
+      db.once('ready', done);
+    });
+
+    const take = (type, key) => cb => db.take({ type, key }, cb);
+
+    it('should take from the bucket and its parent', (done) => {
+      db.take({ type: 'user', key: 'user:acme:1' }, (err, result) => {
+        if (err) { return done(err); }
+        assert.ok(result.conformant);
+        assert.equal(result.remaining, 1);
+        assert.equal(result.limit, 2);
+        db.get({ type: 'tenant', key: 'tenant:acme' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.remaining, 2);
+          done();
+        });
+      });
+    });
+
+    it('should not take from any bucket when the parent is not conformant', (done) => {
+      async.series([
+        take('user', 'user:t2:1'),
+        take('user', 'user:t2:1'),
+        take('user', 'user:t2:2'),
+        take('user', 'user:t2:3')
+      ], (err, results) => {
+        if (err) { return done(err); }
+        assert.deepEqual(_.map(results, 'conformant'), [true, true, true, false]);
+        assert.equal(results[3].limit, 3);
+        assert.equal(results[3].remaining, 0);
+        db.put({ type: 'tenant', key: 'tenant:t2' }, (err) => {
+          if (err) { return done(err); }
+          async.series([take('user', 'user:t2:3'), take('user', 'user:t2:3')], (err, results) => {
+            if (err) { return done(err); }
+            assert.deepEqual(_.map(results, 'conformant'), [true, true]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not take from the parent when the key does not match the pattern', (done) => {
+      db.take({ type: 'user', key: 'anonymous' }, (err, result) => {
+        if (err) { return done(err); }
+        assert.equal(result.remaining, 1);
+        assert.equal(result.limit, 2);
+        done();
+      });
+    });
+
+    it('should take from every ancestor', (done) => {
+      db.take({ type: 'session', key: 'user:acme2:1/s1', count: 2 }, (err, result) => {
+        if (err) { return done(err); }
+        assert.ok(result.conformant);
+        assert.equal(result.remaining, 0);
+        assert.equal(result.limit, 2);
+        async.series([
+          cb => db.get({ type: 'tenant', key: 'tenant:acme2' }, cb),
+          cb => db.take({ type: 'session', key: 'user:acme2:1/s2' }, cb)
+        ], (err, results) => {
+          if (err) { return done(err); }
+          assert.equal(results[0].remaining, 1);
+          assert.notOk(results[1].conformant);
+          done();
+        });
+      });
+    });
+
+    it('should get the most restrictive bucket and put in the parent too', (done) => {
+      async.series([
+        take('user', 'user:p:1'),
+        take('user', 'user:p:2'),
+        take('user', 'user:p:2'),
+        cb => db.get({ type: 'user', key: 'user:p:1' }, cb),
+        cb => db.put({ type: 'user', key: 'user:p:1', count: 1 }, cb),
+        cb => db.get({ type: 'tenant', key: 'tenant:p' }, cb)
+      ], (err, results) => {
+        if (err) { return done(err); }
+        assert.equal(results[3].remaining, 0);
+        assert.equal(results[3].limit, 3);
+        assert.equal(results[4].remaining, 1);
+        assert.equal(results[4].limit, 3);
+        assert.equal(results[5].remaining, 1);
+        done();
+      });
+    });
+
+    it('should not refill the parent when a key is reset', (done) => {
+      async.series([
+        take('user', 'user:r:1'),
+        take('user', 'user:r:2'),
+        take('user', 'user:r:2'),
+        cb => db.put({ type: 'user', key: 'user:r:1' }, cb),
+        cb => db.get({ type: 'tenant', key: 'tenant:r' }, cb),
+        cb => db.get({ type: 'user', key: 'user:r:2' }, cb)
+      ], (err, results) => {
+        if (err) { return done(err); }
+        assert.equal(results[3].remaining, 2);
+        assert.equal(results[4].remaining, 0);
+        assert.equal(results[5].remaining, 0);
+        done();
+      });
+    });
+
+    it('should report the most restrictive bucket in takeMany and dry runs', (done) => {
+      async.series([
+        take('user', 'user:m:1'),
+        take('user', 'user:m:1'),
+        take('user', 'user:m:2'),
+        cb => db.takeMany([{ type: 'ip', key: '63.1.1.1' }, { type: 'user', key: 'user:m:3' }], cb),
+        cb => db.take({ type: 'user', key: 'user:m:4', dryRun: true }, cb)
+      ], (err, results) => {
+        if (err) { return done(err); }
+        assert.notOk(results[3].conformant);
+        assert.lengthOf(results[3].results, 2);
+        assert.ok(results[3].results[0].conformant);
+        assert.equal(results[3].results[1].limit, 3);
+        assert.notOk(results[4].conformant);
+        assert.equal(results[4].limit, 3);
+        done();
+      });
+    });
+
+    it('should wait for the tokens of the parent', (done) => {
+      const start = Date.now();
+      db.take({ type: 'client', key: 'a' }, (err, result) => {
+        if (err) { return done(err); }
+        assert.ok(result.conformant);
+        db.wait({ type: 'client', key: 'b' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.ok(result.delayed);
+          assert.isAtLeast(Date.now() - start, 80);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('override expiry', () => {
+    var db;
+    const now = Math.floor(Date.now() / 1000) * 1000;
+
+    before(function(done) {
+      db = new LimitDB(Object.assign(getConfig(), {
+        types: {
+          api: {
+            size: 10,
+            overrides: {
+              event: {
+                size: 100,
+                from:  new Date(now + ms('1h')),
+                until: new Date(now + ms('2h'))
+              }
+            }
+          }
+        }
+      }));
+      db.once('ready', done);
+    });
+
+    it('should apply the override between from and until', (done) => {
+      const expired = [];
+      db.on('overrideExpired', e => expired.push(e));
+      MockDate.set(now);
+      db.get({ type: 'api', key: 'event' }, (err, result) => {
+        if (err) { return done(err); }
+        assert.equal(result.limit, 10);
+        MockDate.set(now + ms('1h'));
+        db.get({ type: 'api', key: 'event' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.limit, 100);
+          MockDate.set(now + ms('2h') + 1);
+          db.get({ type: 'api', key: 'event' }, (err, result) => {
+            if (err) { return done(err); }
+            assert.equal(result.limit, 10);
+            db.get({ type: 'api', key: 'event' }, (err) => {
+              if (err) { return done(err); }
+              assert.lengthOf(expired, 1);
+              assert.equal(expired[0].type, 'api');
+              assert.equal(expired[0].name, 'event');
+              assert.equal(expired[0].until.getTime(), now + ms('2h'));
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should expire runtime overrides', (done) => {
+      MockDate.set(now);
+      db.setOverride({ type: 'api', key: 'customer', size: 50, until: new Date(now + ms('1m')) }, (err) => {
+        if (err) { return done(err); }
+        db.take({ type: 'api', key: 'customer' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.limit, 50);
+          db.once('overrideExpired', (e) => {
+            assert.equal(e.name, 'customer');
+            done();
+          });
+          MockDate.set(now + ms('1m') + 1);
+          db.take({ type: 'api', key: 'customer' }, (err, result) => {
+            if (err) { return done(err); }
+            assert.equal(result.limit, 10);
+          });
+        });
+      });
+    });
+
+    it('should fail when from is not a date', (done) => {
+      db.setOverride({ type: 'api', key: 'customer', size: 50, from: 'foo' }, (err) => {
+        assert.match(err.message, /from must be a date/);
+        done();
+      });
+    });
+
+    it('should check from and until when the override is applied', (done) => {
+      MockDate.set(now + ms('3h'));
+      db.loadTypes({
+        launch: {
+          size: 10,
+          overrides: {
+            event: { size: 100, from: new Date(now + ms('1h')), until: new Date(now + ms('2h')) }
+          }
+        }
+      });
+      MockDate.set(now + ms('2h') - 1);
+      db.get({ type: 'launch', key: 'event' }, (err, result) => {
+        if (err) { return done(err); }
+        assert.equal(result.limit, 100);
+        MockDate.set(now + ms('2h') + 1);
+        db.get({ type: 'launch', key: 'event' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.limit, 10);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('watchTypes', () => {
+    var db, file;
+
+    const writeTypes = (typesConfig) => {
+      fs.writeFileSync(file, JSON.stringify(typesConfig));
+      //make sure the modification time changes.
+      const mtime = new Date(Date.now() + Math.random() * ms('1h'));
+      fs.utimesSync(file, mtime, mtime);
+    };
+
+    before(function(done) {
+      file = path.join(tmp.dirSync().name, 'types.json');
+      writeTypes({ ip: { size: 10 }, user: { size: 5 } });
+      db = new LimitDB(getConfig());
+      db.once('ready', done);
+    });
+
+    after(() => {
+      db.unwatchTypes();
+    });
+
+    it('should load the types from the file', (done) => {
+      db.once('typesReloaded', (diff) => {
+        assert.includeMembers(diff.added, ['user']);
+        assert.includeMembers(diff.changed, ['ip']);
+        assert.include(diff.removed, 'ttl_test');
+        db.take({ type: 'user', key: 'john' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.limit, 5);
+          done();
+        });
+      });
+      db.watchTypes(file, { interval: 10 });
+    });
+
+    it('should apply only the changed types', (done) => {
+      const user = db._types.user;
+      db.once('typesReloaded', (diff) => {
+        assert.deepEqual(diff, { added: ['api'], removed: [], changed: ['ip'] });
+        assert.strictEqual(db._types.user, user);
+        assert.equal(db._types.ip.size, 20);
+        done();
+      });
+      writeTypes({ ip: { size: 20 }, user: { size: 5 }, api: { size: 1 } });
+    });
+
+    it('should keep the previous types when the file is not valid', (done) => {
+      db.once('typesReloadError', (err) => {
+        assert.instanceOf(err, LimitDB.errors.InvalidTypesError);
+        assert.include(err.problems, 'types.ip.per_second must be a positive number');
+        assert.include(err.problems, 'types.user.size must be a non negative number');
+        assert.equal(db._types.ip.size, 20);
+        done();
+      });
+      writeTypes({ ip: { per_second: 'ten' }, user: { size: -1 } });
+    });
+
+    it('should keep the previous types when the file can not be parsed', (done) => {
+      db.once('typesReloadError', (err) => {
+        assert.instanceOf(err, SyntaxError);
+        assert.equal(db._types.ip.size, 20);
+        done();
+      });
+      fs.writeFileSync(file, '{ "ip": ');
+    });
+  });
+
+  describe('DEL', () => {
+    var db;
+
+    before(function(done) {
+      db = new LimitDB(getConfig());
+      db.once('ready', done);
+    });
+
+    it('should remove the bucket', (done) => {
+      const bucketKey = { type: 'ip', key: '70.1.1.1' };
+      db.take(Object.assign({ count: 5 }, bucketKey), (err) => {
+        if (err) { return done(err); }
+        db.del(bucketKey, (err) => {
+          if (err) { return done(err); }
+          db._types.ip.db.get(bucketKey.key, (err, value) => {
+            assert.isUndefined(value);
+            db.del(bucketKey, done);
+          });
+        });
+      });
+    });
+
+    it('should fail when type is not defined', (done) => {
+      db.del({ type: 'cc', key: '70.1.1.1' }, (err) => {
+        assert.match(err.message, /undefined bucket type cc/);
+        done();
+      });
+    });
+  });
+
+  describe('getStats', () => {
+    var db;
+
+    before(function(done) {
+      db = new LimitDB(Object.assign(getConfig(), { metrics: { byOverride: true } }));
+      db.once('ready', done);
+    });
+
+    it('should count the takes by result and override', (done) => {
+      async.series([
+        cb => db.take({ type: 'ip', key: '80.1.1.1', count: 10 }, cb),
+        cb => db.take({ type: 'ip', key: '80.1.1.1' }, cb),
+        cb => db.take({ type: 'ip', key: '127.0.0.1' }, cb),
+        cb => db.take({ type: 'ip', key: '80.1.1.2', dryRun: true }, cb),
+        cb => db.put({ type: 'ip', key: '80.1.1.1' }, cb)
+      ], (err) => {
+        if (err) { return done(err); }
+        const stats = db.getStats().types.ip;
+        assert.equal(stats.takes, 3);
+        assert.equal(stats.conformant, 2);
+        assert.equal(stats.nonConformant, 1);
+        assert.equal(stats.puts, 1);
+        assert.equal(stats.overrides['127.0.0.1'].takes, 1);
+        assert.equal(stats.storageLatency.get.count, 3);
+        assert.equal(stats.queueDepth, 0);
+        done();
+      });
+    });
+
+    it('should count the coalesced operations', (done) => {
+      async.parallel(_.range(5).map(() => cb => db.take({ type: 'ip', key: '80.1.1.3' }, cb)), (err) => {
+        if (err) { return done(err); }
+        assert.equal(db.getStats().types.ip.coalesced, 4);
+        done();
+      });
+    });
+
+    it('should record the delay of the waits', (done) => {
+      db.wait({ type: 'ip', key: '80.1.1.4' }, (err) => {
+        if (err) { return done(err); }
+        const stats = db.getStats().types.ip;
+        assert.equal(stats.waits, 1);
+        assert.equal(stats.waitDelay.count, 1);
+        done();
+      });
+    });
+
+    it('should export the prometheus metrics', () => {
+      const metrics = db.getPrometheusMetrics();
+      assert.include(metrics, 'limitdb_takes_total{type="ip",override="",conformant="true"} 6\n');
+      assert.include(metrics, 'limitdb_takes_total{type="ip",override="127.0.0.1",conformant="true"} 1\n');
+      assert.notInclude(metrics, '80.1.1.1');
+    });
+
+    it('should count the runtime overrides under the same label', (done) => {
+      async.series([
+        cb => db.setOverride({ type: 'ip', key: '80.1.1.5', size: 20 }, cb),
+        cb => db.setOverride({ type: 'ip', key: '80.1.1.6', size: 20 }, cb),
+        cb => db.take({ type: 'ip', key: '80.1.1.5' }, cb),
+        cb => db.take({ type: 'ip', key: '80.1.1.6' }, cb)
+      ], (err) => {
+        if (err) { return done(err); }
+        const stats = db.getStats().types.ip;
+        assert.equal(stats.overrides.runtime.takes, 2);
+        assert.notProperty(stats.overrides, '80.1.1.5');
+        assert.notInclude(db.getPrometheusMetrics(), '80.1.1.5');
+        done();
+      });
+    });
+  });
+
+  describe('events', () => {
+    var db;
+
+    before(function(done) {
+      db = new LimitDB(Object.assign(getConfig(), {
+        types: Object.assign({
+          fast: { size: 2, per_interval: 2, interval: 50 },
+          debounced: { size: 1, per_hour: 1, events: { debounce: 1000 } }
+        }, types)
+      }));
+      db.once('ready', done);
+    });
+
+    afterEach(() => {
+      db.removeAllListeners('nonconformant');
+      db.removeAllListeners('depleted');
+      db.removeAllListeners('recovered');
+    });
+
+    it('should emit nonconformant when a take is not conformant', (done) => {
+      const events = [];
+      db.on('nonconformant', e => events.push(e));
+      db.take({ type: 'ip', key: '90.1.1.1', count: 10 }, (err) => {
+        if (err) { return done(err); }
+        db.take({ type: 'ip', key: '90.1.1.1', count: 2 }, (err, result) => {
+          if (err) { return done(err); }
+          assert.lengthOf(events, 1);
+          assert.deepEqual(events[0], {
+            type: 'ip',
+            key: '90.1.1.1',
+            count: 2,
+            remaining: 0,
+            limit: 10,
+            reset: result.reset,
+            override: undefined
+          });
+          done();
+        });
+      });
+    });
+
+    it('should include the name of the override', (done) => {
+      db.once('nonconformant', (e) => {
+        assert.equal(e.override, '10.0.0.1');
+        done();
+      });
+      db.take({ type: 'ip', key: '10.0.0.1', count: 2 }, _.noop);
+    });
+
+    it('should emit depleted once and recovered when the bucket is full again', (done) => {
+      const events = [];
+      db.on('depleted', e => events.push(['depleted', e]));
+      db.on('recovered', (e) => {
+        assert.deepEqual(_.map(events, 0), ['depleted']);
+        assert.equal(events[0][1].key, 'a');
+        assert.deepEqual(e, { type: 'fast', key: 'a', limit: 2, override: undefined });
+        done();
+      });
+      async.series([
+        cb => db.take({ type: 'fast', key: 'a', count: 2 }, cb),
+        cb => db.take({ type: 'fast', key: 'a' }, cb)
+      ], (err) => {
+        if (err) { return done(err); }
+      });
+    });
+
+    it('should emit recovered when the bucket is put', (done) => {
+      db.once('depleted', () => {
+        db.once('recovered', (e) => {
+          assert.equal(e.key, '90.1.1.2');
+          done();
+        });
+        db.put({ type: 'ip', key: '90.1.1.2' }, _.noop);
+      });
+      db.take({ type: 'ip', key: '90.1.1.2', count: 10 }, _.noop);
+    });
+
+    it('should not check the buckets that do not refill until they are put', (done) => {
+      const checkRecovered = db._checkRecovered;
+      var checks = 0;
+      db._checkRecovered = function() {
+        checks++;
+        return checkRecovered.apply(this, arguments);
+      };
+      db.once('depleted', () => {
+        setTimeout(() => {
+          assert.equal(checks, 0);
+          delete db._checkRecovered;
+          db.once('recovered', (e) => {
+            assert.equal(e.key, '8.8.8.8');
+            done();
+          });
+          db.put({ type: 'ip', key: '8.8.8.8' }, _.noop);
+        }, 50);
+      });
+      db.take({ type: 'ip', key: '8.8.8.8', count: 10 }, _.noop);
+    });
+
+    it('should debounce the nonconformant events of a key', (done) => {
+      const events = [];
+      db.on('nonconformant', e => events.push(e));
+      async.timesSeries(4, (i, cb) => db.take({ type: 'debounced', key: 'b' }, cb), (err) => {
+        if (err) { return done(err); }
+        assert.lengthOf(events, 1);
+        done();
+      });
+    });
+  });
+
+  describe('penalty', () => {
+    var db;
+    const now = 1425920267000;
+
+    before(function(done) {
+      db = new LimitDB(Object.assign(getConfig(), {
+        types: Object.assign({
+          penalized: { size: 1, per_hour: 1, penalty: { violations: 2, window: 60000, duration: 1000, backoff: 2 } },
+          shared: { size: 1, per_hour: 1, penalty: { violations: 1, window: 60000, duration: 60000 } },
+          member: {
+            size: 10,
+            per_hour: 10,
+            parent: { type: 'shared', key: 'all' },
+            penalty: { violations: 1, window: 60000, duration: 60000 }
+          }
+        }, types)
+      }));
+      db.once('ready', done);
+    });
+
+    const takeTimes = (times, params, callback) => {
+      async.timesSeries(times, (i, cb) => db.take(params, cb), callback);
+    };
+
+    it('should block the key after the violations within the window', (done) => {
+      MockDate.set(now);
+      takeTimes(3, { type: 'penalized', key: 'a' }, (err, results) => {
+        if (err) { return done(err); }
+        assert.deepEqual(_.map(results, 'conformant'), [true, false, false]);
+        assert.notOk(results[1].blockedUntil);
+        assert.equal(results[2].blockedUntil, now / 1000 + 1);
+        db.take({ type: 'penalized', key: 'a' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.notOk(result.conformant);
+          assert.equal(result.remaining, 0);
+          assert.equal(result.limit, 1);
+          assert.equal(result.blockedUntil, now / 1000 + 1);
+          assert.equal(result.retryAfter, 1000);
+          done();
+        });
+      });
+    });
+
+    it('should not count the violations out of the window', (done) => {
+      MockDate.set(now);
+      takeTimes(2, { type: 'penalized', key: 'b' }, (err) => {
+        if (err) { return done(err); }
+        MockDate.set(now + 60001);
+        db.take({ type: 'penalized', key: 'b' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.notOk(result.conformant);
+          assert.notOk(result.blockedUntil);
+          done();
+        });
+      });
+    });
+
+    it('should escalate the duration every time the key is blocked', (done) => {
+      MockDate.set(now);
+      takeTimes(3, { type: 'penalized', key: 'c' }, (err, results) => {
+        if (err) { return done(err); }
+        assert.equal(results[2].blockedUntil, now / 1000 + 1);
+        MockDate.set(now + 1000);
+        takeTimes(2, { type: 'penalized', key: 'c' }, (err, results) => {
+          if (err) { return done(err); }
+          assert.equal(results[1].blockedUntil, now / 1000 + 3);
+          done();
+        });
+      });
+    });
+
+    it('should ban and unban a key', (done) => {
+      MockDate.set(now);
+      db.ban({ type: 'ip', key: '91.1.1.1', duration: 60000 }, (err, result) => {
+        if (err) { return done(err); }
+        assert.deepEqual(result, { blockedUntil: now / 1000 + 60 });
+        db.take({ type: 'ip', key: '91.1.1.1' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.notOk(result.conformant);
+          assert.equal(result.blockedUntil, now / 1000 + 60);
+          db.unban({ type: 'ip', key: '91.1.1.1' }, (err, result) => {
+            if (err) { return done(err); }
+            assert.deepEqual(result, { unbanned: true });
+            db.take({ type: 'ip', key: '91.1.1.1' }, (err, result) => {
+              if (err) { return done(err); }
+              assert.ok(result.conformant);
+              assert.equal(result.remaining, 9);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should not unban a key that is not blocked', (done) => {
+      db.unban({ type: 'ip', key: '91.1.1.2' }, (err, result) => {
+        if (err) { return done(err); }
+        assert.deepEqual(result, { unbanned: false });
+        done();
+      });
+    });
+
+    it('should not take from the buckets of takeMany when a key is blocked', (done) => {
+      MockDate.set(now);
+      db.ban({ type: 'ip', key: '91.1.1.3', duration: 60000 }, (err) => {
+        if (err) { return done(err); }
+        db.takeMany([
+          { type: 'ip', key: '91.1.1.4' },
+          { type: 'ip', key: '91.1.1.3' }
+        ], (err, result) => {
+          if (err) { return done(err); }
+          assert.notOk(result.conformant);
+          assert.ok(result.results[0].conformant);
+          assert.equal(result.results[1].blockedUntil, now / 1000 + 60);
+          db.get({ type: 'ip', key: '91.1.1.4' }, (err, result) => {
+            if (err) { return done(err); }
+            assert.equal(result.remaining, 10);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should count the rejections by the parent as violations of the key', (done) => {
+      MockDate.set(now);
+      async.series([
+        cb => db.take({ type: 'member', key: 'm1' }, cb),
+        cb => db.take({ type: 'member', key: 'm1' }, cb),
+        cb => db.take({ type: 'member', key: 'm2' }, cb)
+      ], (err, results) => {
+        if (err) { return done(err); }
+        assert.deepEqual(_.map(results, 'conformant'), [true, false, false]);
+        assert.equal(results[1].blockedUntil, now / 1000 + 60);
+        db.status({ type: 'shared', prefix: '', blocked: true }, (err, result) => {
+          if (err) { return done(err); }
+          assert.lengthOf(result.items, 0);
+          db.status({ type: 'member', prefix: 'm', blocked: true }, (err, result) => {
+            if (err) { return done(err); }
+            assert.deepEqual(_.map(result.items, 'key'), ['m1', 'm2']);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should delay the waits until the key is unblocked', (done) => {
+      const start = Date.now();
+      db.ban({ type: 'ip', key: '91.1.1.5', duration: 100 }, (err) => {
+        if (err) { return done(err); }
+        db.wait({ type: 'ip', key: '91.1.1.5' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.ok(result.delayed);
+          assert.equal(result.remaining, 9);
+          assert.isAtLeast(Date.now() - start, 90);
+          done();
+        });
+      });
+    });
+
+    it('should delay the waits longer than the maximum delay of a timer', (done) => {
+      const blockedResult = db._blockedResult;
+      var checks = 0;
+      db.ban({ type: 'ip', key: '91.1.1.7', duration: ms('30d') }, (err) => {
+        if (err) { return done(err); }
+        db._blockedResult = function() {
+          checks++;
+          return blockedResult.apply(this, arguments);
+        };
+        db.wait({ type: 'ip', key: '91.1.1.7', timeout: 50 }, (err) => {
+          delete db._blockedResult;
+          assert.instanceOf(err, LimitDB.errors.WaitTimeoutError);
+          assert.equal(checks, 1);
+          done();
+        });
+      });
+    });
+
+    it('should resume the waits when the key is unbanned', (done) => {
+      db.ban({ type: 'ip', key: '91.1.1.6', duration: 60000 }, (err) => {
+        if (err) { return done(err); }
+        db.wait({ type: 'ip', key: '91.1.1.6', timeout: 1000 }, (err, result) => {
+          if (err) { return done(err); }
+          assert.ok(result.delayed);
+          done();
+        });
+        setTimeout(() => db.unban({ type: 'ip', key: '91.1.1.6' }, _.noop), 20);
+      });
+    });
+
+    it('should list the blocked keys with status', (done) => {
+      MockDate.set(now);
+      async.series([
+        cb => db.ban({ type: 'ip', key: 'banned-1', duration: 60000 }, cb),
+        cb => db.ban({ type: 'ip', key: 'banned-2', duration: 60000 }, cb),
+        cb => db.ban({ type: 'penalized', key: 'banned-3', duration: 60000 }, cb),
+        cb => db.take({ type: 'ip', key: 'banned-4' }, cb)
+      ], (err) => {
+        if (err) { return done(err); }
+        db.status({ type: 'ip', prefix: 'banned-', blocked: true, limit: 1 }, (err, result) => {
+          if (err) { return done(err); }
+          assert.deepEqual(result.items, [
+            { key: 'banned-1', remaining: 0, reset: now / 1000 + 60, limit: 10, blockedUntil: now / 1000 + 60, strikes: 0 }
+          ]);
+          db.status({ type: 'ip', prefix: 'banned-', blocked: true, cursor: result.nextCursor }, (err, result) => {
+            if (err) { return done(err); }
+            assert.deepEqual(_.map(result.items, 'key'), ['banned-2']);
+            assert.isNull(result.nextCursor);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should include blockedUntil in the status of the buckets', (done) => {
+      MockDate.set(now);
+      db.take({ type: 'ip', key: 'banned-5' }, (err) => {
+        if (err) { return done(err); }
+        db.ban({ type: 'ip', key: 'banned-5', duration: 60000 }, (err) => {
+          if (err) { return done(err); }
+          db.status({ type: 'ip', prefix: 'banned-' }, (err, result) => {
+            if (err) { return done(err); }
+            const items = _.keyBy(result.items, 'key');
+            assert.equal(items['banned-5'].blockedUntil, now / 1000 + 60);
+            assert.notProperty(items['banned-4'], 'blockedUntil');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should fail to ban without duration', (done) => {
+      db.ban({ type: 'ip', key: '91.1.1.7' }, (err) => {
+        assert.match(err.message, /duration must be a positive number/);
+        done();
+      });
+    });
+  });
+
+  describe('RESET AND DELETE PREFIX', () => {
+    var db;
+    const now = 1425920267000;
+
+    before(function(done) {
+      db = new LimitDB(getConfig());
+      db.once('ready', done);
+    });
+
+    const takeAll = (keys, done) => {
+      async.eachSeries(keys, (key, next) => {
+        db.take({ type: 'ip', key, count: 5 }, next);
+      }, done);
+    };
+
+    it('should reset the buckets with the prefix', (done) => {
+      MockDate.set(now);
+      takeAll(['tenant1-a', 'tenant1-b', 'tenant2-a'], (err) => {
+        if (err) { return done(err); }
+        db.resetPrefix({ type: 'ip', prefix: 'tenant1-' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.reset, 2);
+          async.map(['tenant1-a', 'tenant1-b', 'tenant2-a'], (key, cb) => {
+            db.get({ type: 'ip', key }, cb);
+          }, (err, results) => {
+            if (err) { return done(err); }
+            assert.deepEqual(results.map(r => r.remaining), [10, 10, 5]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should delete the buckets matching the regular expression', (done) => {
+      MockDate.set(now);
+      takeAll(['match-1', 'match-22', 'match-3'], (err) => {
+        if (err) { return done(err); }
+        db.deletePrefix({ type: 'ip', prefix: 'match-', match: /^match-\d$/ }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.deleted, 2);
+          db.status({ type: 'ip', prefix: 'match-' }, (err, result) => {
+            if (err) { return done(err); }
+            assert.deepEqual(result.items.map(item => item.key), ['match-22']);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should delete every bucket matching a global regular expression', (done) => {
+      MockDate.set(now);
+      takeAll(['global-1', 'global-2', 'global-3'], (err) => {
+        if (err) { return done(err); }
+        db.deletePrefix({ type: 'ip', prefix: 'global-', match: /^global-\d$/g }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.deleted, 3);
+          done();
+        });
+      });
+    });
+
+    it('should delete more buckets than the batch size', (done) => {
+      MockDate.set(now);
+      takeAll(_.range(250).map(i => `many-${i}`), (err) => {
+        if (err) { return done(err); }
+        db.deletePrefix({ type: 'ip', prefix: 'many-' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.deleted, 250);
+          db.status({ type: 'ip', prefix: 'many-' }, (err, result) => {
+            if (err) { return done(err); }
+            assert.lengthOf(result.items, 0);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should apply the takes issued while the buckets are reset', (done) => {
+      MockDate.set(now);
+      const keys = _.range(150).map(i => `busy-${i}`);
+      takeAll(keys, (err) => {
+        if (err) { return done(err); }
+        async.parallel([
+          cb => db.resetPrefix({ type: 'ip', prefix: 'busy-' }, cb),
+          cb => async.map(keys, (key, next) => db.take({ type: 'ip', key }, next), cb)
+        ], (err, results) => {
+          if (err) { return done(err); }
+          assert.equal(results[0].reset, 150);
+          results[1].forEach(result => assert.ok(result.conformant));
+          done();
+        });
+      });
+    });
+
+    it('should fail without prefix and match', (done) => {
+      db.deletePrefix({ type: 'ip' }, (err) => {
+        assert.match(err.message, /prefix or match is required/);
+        done();
+      });
+    });
+
+    it('should fail when type is not defined', (done) => {
+      db.resetPrefix({ type: 'cc', prefix: '' }, (err) => {
+        assert.match(err.message, /undefined bucket type cc/);
+        done();
+      });
+    });
+  });
+
+  describe('readOnly', () => {
+    var db;
+
+    before(function(done) {
+      db = new LimitDB(Object.assign(getConfig(), { readOnly: true }));
+      db.once('ready', done);
+    });
+
+    it('should fail the operations that modify the buckets', (done) => {
+      const bucketKey = { type: 'ip', key: '70.1.1.2' };
+      async.parallel([
+        cb => db.take(bucketKey, e => cb(null, e)),
+        cb => db.takeMany([bucketKey], e => cb(null, e)),
+        cb => db.wait(bucketKey, e => cb(null, e)),
+        cb => db.put(bucketKey, e => cb(null, e)),
+        cb => db.del(bucketKey, e => cb(null, e)),
+        cb => db.resetPrefix({ type: 'ip', prefix: '70' }, e => cb(null, e)),
+        cb => db.deletePrefix({ type: 'ip', prefix: '70' }, e => cb(null, e)),
+        cb => db.release(Object.assign({ lease: 'foo' }, bucketKey), e => cb(null, e)),
+        cb => db.setOverride(Object.assign({ size: 1 }, bucketKey), e => cb(null, e)),
+        cb => db.removeOverride(bucketKey, e => cb(null, e)),
+        cb => db.ban(Object.assign({ duration: 1000 }, bucketKey), e => cb(null, e)),
+        cb => db.unban(bucketKey, e => cb(null, e)),
+        cb => db.addListEntry(Object.assign({ list: 'deny' }, bucketKey), e => cb(null, e)),
+        cb => db.removeListEntry(Object.assign({ list: 'deny' }, bucketKey), e => cb(null, e))
+      ], (err, errors) => {
+        errors.forEach(e => assert.instanceOf(e, LimitDB.errors.ReadOnlyError));
+        done();
+      });
+    });
+
+    it('should allow reading the buckets', (done) => {
+      const bucketKey = { type: 'ip', key: '70.1.1.2' };
+      db.take(Object.assign({ dryRun: true }, bucketKey), (err, result) => {
+        if (err) { return done(err); }
+        assert.ok(result.conformant);
+        db.get(bucketKey, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.remaining, 10);
+          db.status({ type: 'ip', prefix: '70' }, done);
+        });
+      });
+    });
+  });
+
+  describe('snapshots', () => {
+    var source, target;
+    const now = 1425920267000;
+
+    const exportSnapshot = (db, options, callback) => {
+      const stream = new PassThrough();
+      var data = '';
+      stream.on('data', chunk => data += chunk);
+      db.exportSnapshot(stream, options, (err, result) => {
+        if (err) { return callback(err); }
+        callback(null, data, result);
+      });
+    };
+
+    const importSnapshot = (db, data, options, callback) => {
+      const stream = new PassThrough();
+      db.importSnapshot(stream, options, callback);
+      //write in small chunks to split the lines.
+      _.chunk(data, 7).forEach(chunk => stream.write(chunk.join('')));
+      stream.end();
+    };
+
+    before(function(done) {
+      MockDate.set(now);
+      source = new LimitDB(getConfig());
+      target = new LimitDB(getConfig());
+      async.each([source, target], (db, cb) => db.once('ready', cb), (err) => {
+        if (err) { return done(err); }
+        async.series([
+          cb => source.take({ type: 'ip', key: '80.1.1.1', count: 3 }, cb),
+          cb => source.take({ type: 'ip', key: '80.1.1.2', count: 10 }, cb),
+          cb => source.take({ type: 'gcra', key: '80.1.1.1', count: 2 }, cb),
+          cb => target.take({ type: 'ip', key: '80.1.1.3', count: 5 }, cb)
+        ], done);
+      });
+    });
+
+    it('should export the buckets as ndjson', (done) => {
+      MockDate.set(now);
+      exportSnapshot(source, { types: ['ip'] }, (err, data, result) => {
+        if (err) { return done(err); }
+        const lines = data.trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(result.exported, 2);
+        assert.deepEqual(lines[0], {
+          type: 'ip',
+          key: '80.1.1.1',
+          value: { content: 7, lastDrip: now, size: 10, reset: now / 1000 + 1, lastConformant: true, algorithm: 'token_bucket' },
+          ttl: 1000
+        });
+        assert.equal(lines[1].key, '80.1.1.2');
+        done();
+      });
+    });
+
+    it('should merge the buckets', (done) => {
+      MockDate.set(now);
+      exportSnapshot(source, {}, (err, data) => {
+        if (err) { return done(err); }
+        importSnapshot(target, data + '{"type":"cc","key":"foo","value":{}}\n', {}, (err, result) => {
+          if (err) { return done(err); }
+          assert.deepEqual(result, { imported: 3, skipped: 1 });
+          async.map([
+            { type: 'ip', key: '80.1.1.1' },
+            { type: 'ip', key: '80.1.1.2' },
+            { type: 'gcra', key: '80.1.1.1' },
+            { type: 'ip', key: '80.1.1.3' }
+          ], (bucketKey, cb) => target.get(bucketKey, cb), (err, results) => {
+            if (err) { return done(err); }
+            assert.deepEqual(results.map(r => r.remaining), [7, 0, 8, 5]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should replace the buckets', (done) => {
+      MockDate.set(now);
+      exportSnapshot(source, { types: ['ip'] }, (err, data) => {
+        if (err) { return done(err); }
+        importSnapshot(target, data, { mode: 'replace', types: ['ip'] }, (err, result) => {
+          if (err) { return done(err); }
+          assert.deepEqual(result, { imported: 2, skipped: 0 });
+          target.get({ type: 'ip', key: '80.1.1.3' }, (err, result) => {
+            if (err) { return done(err); }
+            assert.equal(result.remaining, 10);
+            target.get({ type: 'gcra', key: '80.1.1.1' }, (err, result) => {
+              if (err) { return done(err); }
+              assert.equal(result.remaining, 8);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should fail with invalid lines', (done) => {
+      importSnapshot(target, '{"type":"ip","key":"80.1.1.4","value":{"content":1}}\n{', {}, (err) => {
+        assert.match(err.message, /invalid snapshot line 2/);
+        done();
+      });
+    });
+
+    it('should fail with unknown modes', (done) => {
+      target.importSnapshot(new PassThrough(), { mode: 'foo' }, (err) => {
+        assert.match(err.message, /unknown mode foo/);
+        done();
+      });
+    });
+  });
+
+  describe('GET', function () {
+    var db;
+
+    before(function(done) {
+      db = new LimitDB(getConfig());
+      db.once('ready', done);
+    });
+
+    it('should get the current value of the key', (done) => {
+      const bucketKey = { type: 'ip',  key: '211.123.12.12'};
+      db.get(bucketKey, (err, res) => {
+        if (err) return done(err);
+        assert.equal(res.remaining, 10);
+        assert.equal(res.limit, 10);
+
+        db.take(bucketKey, (err) => {
+          if (err) return done(err);
+
+          db.get(bucketKey, (err, res) => {
+            if (err) return done(err);
+            assert.equal(res.remaining, 9);
+            assert.equal(res.limit, 10);
+
+            // Double check to make sure the value doesn't change.
+            db.get(bucketKey, (err, res) => {
+              if (err) return done(err);
+              assert.equal(res.remaining, 9);
+              assert.equal(res.limit, 10);
+              return done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('STATUS', function () {
+    var db;
+
+    before(function(done) {
+      db = new LimitDB(getConfig());
+      db.once('ready', done);
+    });
+
+    it('should return a list of buckets matching the prefix', (done) => {
+      const now = 1425920267;
+      MockDate.set(now * 1000);
+      async.map(_.range(10), (i, done) => {
+        db.take({ type: 'ip', key: `some-prefix-${i}` }, done);
+      }, (err, results) => {
+        if (err) return done(err);
+        assert.ok(results.every(r => r.conformant));
+        db.status({ type: 'ip', prefix: 'some-prefix' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.items.length, 10);
+          for(var i = 0; i < 10; i++) {
+            assert.equal(result.items[i].key, `some-prefix-${i}`);
+            assert.equal(result.items[i].limit, 10);
+            assert.equal(result.items[i].remaining, 9);
+            assert.equal(result.items[i].reset, now + 1);
+          }
+          done();
+        });
+      });
+    });
+
+    it('should drip on status', (done) => {
+      const now = 1425920267;
+      MockDate.set(now * 1000);
+
+      db.take({ type: 'ip', key: `187.213.89.1`, count: 10 }, (err) => {
+        if (err) { return done(err); }
+        MockDate.set((now + 1) * 1000);
+        db.status({ type: 'ip', prefix: '187.213.89.1' }, (err, status) => {
+          if (err) { return done(err); }
+          assert.equal(status.items[0].remaining, 5);
+          done();
+        });
+      });
+    });
+
+    it('should return the buckets in pages', (done) => {
+      const now = 1425920267;
+      MockDate.set(now * 1000);
+      async.eachSeries(_.range(5), (i, done) => {
+        db.take({ type: 'ip', key: `page-${i}` }, done);
+      }, (err) => {
+        if (err) return done(err);
+        const keys = [];
+        var pages = 0;
+        const next = (cursor) => {
+          db.status({ type: 'ip', prefix: 'page-', limit: 2, cursor }, (err, result) => {
+            if (err) { return done(err); }
+            pages++;
+            keys.push.apply(keys, result.items.map(item => item.key));
+            if (result.nextCursor) {
+              assert.equal(result.items.length, 2);
+              return next(result.nextCursor);
+            }
+            assert.isNull(result.nextCursor);
+            assert.equal(pages, 3);
+            assert.deepEqual(keys, ['page-0', 'page-1', 'page-2', 'page-3', 'page-4']);
+            done();
+          });
+        };
+        next();
+      });
+    });
+
+    it('should not return a cursor when the last page is full', (done) => {
+      MockDate.set(1425920267 * 1000);
+      db.status({ type: 'ip', prefix: 'page-', limit: 5 }, (err, result) => {
+        if (err) { return done(err); }
+        assert.equal(result.items.length, 5);
+        assert.isNull(result.nextCursor);
+        done();
+      });
+    });
+
+    it('should include the full buckets with includeFull', (done) => {
+      const now = 1425920267;
+      MockDate.set(now * 1000);
+      db.take({ type: 'gcra', key: 'full-bucket' }, (err) => {
+        if (err) { return done(err); }
+        //the bucket is full again before it expires.
+        MockDate.set((now + 1) * 1000);
+        db.status({ type: 'gcra', prefix: 'full-' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.lengthOf(result.items, 0);
+          db.status({ type: 'gcra', prefix: 'full-', includeFull: true }, (err, result) => {
+            if (err) { return done(err); }
+            assert.lengthOf(result.items, 1);
+            assert.equal(result.items[0].key, 'full-bucket');
+            assert.equal(result.items[0].remaining, 10);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should return the keys with characters above ~', (done) => {
+      const keys = ['unicode-~', 'unicode-é', 'unicode-日本', 'unicode_other'];
+      async.eachSeries(keys, (key, done) => {
+        db.take({ type: 'ip', key }, done);
+      }, (err) => {
+        if (err) return done(err);
+        db.status({ type: 'ip', prefix: 'unicode-' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.deepEqual(result.items.map(item => item.key), ['unicode-~', 'unicode-é', 'unicode-日本']);
+          done();
+        });
+      });
+    });
+
+    it('should fail when the limit is not a positive integer', (done) => {
+      db.status({ type: 'ip', prefix: 'page-', limit: 0 }, (err) => {
+        assert.match(err.message, /limit must be a positive integer/);
+        done();
+      });
+    });
+
+    it('should fail when the cursor is not from the prefix', (done) => {
+      MockDate.set(1425920267 * 1000);
+      db.status({ type: 'ip', prefix: 'page-', limit: 1 }, (err, result) => {
+        if (err) { return done(err); }
+        db.status({ type: 'ip', prefix: 'other-', cursor: result.nextCursor }, (err) => {
+          assert.match(err.message, /invalid cursor/);
+          done();
+        });
+      });
+    });
+
+    it('should stream the status of every bucket with the prefix', (done) => {
+      MockDate.set(1425920267 * 1000);
+      const keys = [];
+      db.statusStream({ type: 'ip', prefix: 'page-' })
+        .on('data', item => keys.push(item.key))
+        .once('error', done)
+        .once('end', () => {
+          assert.deepEqual(keys, ['page-0', 'page-1', 'page-2', 'page-3', 'page-4']);
+          done();
+        });
+    });
+
+    it('should emit an error on the stream when the type is undefined', (done) => {
+      db.statusStream({ type: 'foo', prefix: '' })
+        .once('error', (err) => {
+          assert.match(err.message, /undefined bucket type foo/);
+          done();
+        });
+    });
+  });
+
+  describe('WAIT', function () {
+    var db;
+
+    before(function(done) {
+      db = new LimitDB(getConfig());
+      db.once('ready', done);
+    });
+
+    it('should work with a simple request', (done) => {
+      var now = 1425920267;
+      MockDate.set(now * 1000);
+      db.wait({ type: 'ip', key: '211.76.23.4' }, (err, response) => {
+        if (err) return done(err);
+        assert.ok(response.conformant);
+        assert.notOk(response.delayed);
+
+
+        assert.equal(response.remaining, 9);
+        assert.equal(response.reset, now + 1);
+
+        done();
+      });
+    });
+
+    it('should be delayed when traffic is non conformant', function (done) {
+      db.take({
+        type: 'ip',
+        key: '211.76.23.5',
+        count: 10
+      }, (err) => {
+        if (err) return done(err);
+        const waitingSince = Date.now();
+        db.wait({
+          type: 'ip',
+          key: '211.76.23.5',
+          count: 3
+        }, function (err, response) {
+          if (err) { return done(err); }
+          var waited = Date.now() - waitingSince;
+          assert.ok(response.conformant);
+          assert.ok(response.delayed);
+          assert.closeTo(waited, 600, 20);
+          done();
+        });
+      });
+    });
+
+    it('should serve the waiters in order', function (done) {
+      const bucketKey = { type: 'ip', key: '211.76.23.6' };
+      const served = [];
+      db.take(Object.assign({ count: 10 }, bucketKey), (err) => {
+        if (err) return done(err);
+        async.parallel([
+          cb => db.wait(Object.assign({ count: 2 }, bucketKey), () => { served.push(1); cb(); }),
+          cb => db.wait(Object.assign({ count: 1 }, bucketKey), () => { served.push(2); cb(); }),
+          cb => db.wait(Object.assign({ count: 1 }, bucketKey), () => { served.push(3); cb(); })
+        ], () => {
+          assert.deepEqual(served, [1, 2, 3]);
+          done();
+        });
+      });
+    });
+
+    it('should fail after the timeout', function (done) {
+      const bucketKey = { type: 'ip', key: '211.76.23.7' };
+      db.take(Object.assign({ count: 10 }, bucketKey), (err) => {
+        if (err) return done(err);
+        const waitingSince = Date.now();
+        db.wait(Object.assign({ count: 5, timeout: 100 }, bucketKey), (err) => {
+          assert.instanceOf(err, LimitDB.errors.WaitTimeoutError);
+          assert.equal(err.code, 'ERR_WAIT_TIMEOUT');
+          assert.closeTo(Date.now() - waitingSince, 100, 20);
+          db.get(bucketKey, (err, result) => {
+            if (err) return done(err);
+            assert.isBelow(result.remaining, 5);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should fail when there are too many waiters', function (done) {
+      const bucketKey = { type: 'ip', key: '211.76.23.8' };
+      db.take(Object.assign({ count: 10 }, bucketKey), (err) => {
+        if (err) return done(err);
+        db.wait(Object.assign({ maxQueue: 1 }, bucketKey), (err, result) => {
+          if (err) return done(err);
+          assert.ok(result.delayed);
+          done();
+        });
+        db.wait(Object.assign({ maxQueue: 1 }, bucketKey), (err) => {
+          assert.instanceOf(err, LimitDB.errors.WaitQueueFullError);
+        });
+      });
+    });
+
+    it('should fail when the tokens are more than the size of the bucket', function (done) {
+      db.wait({ type: 'ip', key: '211.76.23.11', count: 11 }, (err) => {
+        assert.instanceOf(err, LimitDB.errors.WaitUnsatisfiableError);
+        assert.equal(err.code, 'ERR_WAIT_UNSATISFIABLE');
+        done();
+      });
+    });
+
+    it('should fail when the bucket does not refill', function (done) {
+      const bucketKey = { type: 'ip', key: '8.8.8.8' };
+      db.take(Object.assign({ count: 10 }, bucketKey), (err) => {
+        if (err) return done(err);
+        db.wait(bucketKey, (err) => {
+          assert.instanceOf(err, LimitDB.errors.WaitUnsatisfiableError);
+          done();
+        });
+      });
+    });
+
+    it('should fail when the signal is aborted', function (done) {
+      const bucketKey = { type: 'ip', key: '211.76.23.9' };
+      const listeners = [];
+      const signal = {
+        aborted: false,
+        addEventListener: (event, listener) => listeners.push(listener),
+        removeEventListener: (event, listener) => _.pull(listeners, listener)
+      };
+      db.take(Object.assign({ count: 10 }, bucketKey), (err) => {
+        if (err) return done(err);
+        db.wait(Object.assign({ count: 5, signal }, bucketKey), (err) => {
+          assert.instanceOf(err, LimitDB.errors.WaitAbortedError);
+          assert.lengthOf(listeners, 0);
+          db.wait(Object.assign({ signal }, bucketKey), (err) => {
+            assert.instanceOf(err, LimitDB.errors.WaitAbortedError);
+            done();
+          });
+        });
+        setTimeout(() => {
+          signal.aborted = true;
+          listeners.slice().forEach(listener => listener());
+        }, 50);
+      });
+    });
+
+    it('should be woken up when a lease is released', function (done) {
+      const bucketKey = { type: 'exports', key: 'waiting' };
+      db.take(Object.assign({ count: 2 }, bucketKey), (err, result) => {
+        if (err) return done(err);
+        const waitingSince = Date.now();
+        db.wait(bucketKey, (err, waited) => {
+          if (err) return done(err);
+          assert.ok(waited.delayed);
+          assert.isString(waited.lease);
+          assert.isBelow(Date.now() - waitingSince, 500);
+          done();
+        });
+        setTimeout(() => {
+          db.release(Object.assign({ lease: result.lease }, bucketKey), _.noop);
+        }, 50);
+      });
+    });
+
+    it('should fail the waiters when the database is closed', function (done) {
+      const closing = new LimitDB(getConfig());
+      closing.once('ready', () => {
+        const bucketKey = { type: 'ip', key: '211.76.23.10' };
+        closing.take(Object.assign({ count: 10 }, bucketKey), (err) => {
+          if (err) return done(err);
+          closing.wait(Object.assign({ count: 10 }, bucketKey), (err) => {
+            assert.instanceOf(err, LimitDB.errors.DatabaseClosedError);
+            done();
+          });
+          setTimeout(() => closing.close(_.noop), 20);
+        });
+      });
+    });
+  });
+
+  describe('isOpen', function() {
+    it('should return false when initializing', function() {
+      const db = new LimitDB(getConfig());
+      assert.notOk(db.isOpen());
+    });
+
+    it('should return true when is ready', function() {
+      const db = new LimitDB(getConfig());
+      db.once('ready', () => assert.ok(db.isOpen()));
+    });
+  });
+
+  describe('close', function() {
+    var db;
+
+    before(function(done) {
+      db = new LimitDB(getConfig());
+      db.once('ready', done);
+    });
+
+    it('should close the underlying levelup and call the callback', (done) => {
+      db.close((err) => {
+        if (err) { return done(err); }
+        assert.isOk(db._db.isClosed());
+        done();
+      });
+    });
+  });
+
+  describe('close when is not ready', function() {
+    it('should close the underlying db and call the callback once is ready', (done) => {
+      var ready;
+      var db = new LimitDB(getConfig());
+      db.once('ready', () => ready = true);
+      db.close((err) => {
+        if (err) { return done(err); }
+        assert.isOk(ready);
+        assert.isOk(db._db.isClosed());
+        done();
+      });
+    });
+  });
+
+  describe('close when is closed', function() {
+    var db;
+
+    before(function(done) {
+      db = new LimitDB(getConfig());
+      db.once('ready', () => db.close(done));
     });
 
     it('should close the underlying db and call the callback once is ready', (done) => {
@@ -622,6 +2789,198 @@ describeForEachConfig((getConfig) => {
     });
   });
 
+  describe('operations while opening', () => {
+    it('should buffer the operations until the database is ready', (done) => {
+      const db = new LimitDB(getConfig());
+      assert.equal(db.state, 'opening');
+      db.take({ type: 'ip', key: '44.4.4.4' }, (err, result) => {
+        if (err) { return done(err); }
+        assert.equal(db.state, 'ready');
+        assert.ok(result.conformant);
+        assert.equal(result.remaining, 9);
+        done();
+      });
+    });
+
+    it('should replay the buffered operations in order', (done) => {
+      const db = new LimitDB(getConfig());
+      const bucketKey = { type: 'ip', key: '44.4.4.5' };
+      async.parallel([
+        cb => db.take(bucketKey, cb),
+        cb => db.take(Object.assign({ count: 3 }, bucketKey), cb),
+        cb => db.take(bucketKey, cb)
+      ], (err, results) => {
+        if (err) { return done(err); }
+        assert.deepEqual(results.map(r => r.remaining), [9, 6, 5]);
+        done();
+      });
+    });
+
+    it('should fail when too many operations are buffered', (done) => {
+      const db = new LimitDB(Object.assign(getConfig(), { maxPendingOperations: 1 }));
+      db.take({ type: 'ip', key: '44.4.4.6' }, _.noop);
+      db.take({ type: 'ip', key: '44.4.4.6' }, (err) => {
+        assert.instanceOf(err, LimitDB.errors.PendingQueueFullError);
+        done();
+      });
+    });
+
+    it('should fail the buffered operations when the database can not be opened', (done) => {
+      const db = new LimitDB(Object.assign(getConfig(), {
+        driver: 'leveldb',
+        inMemory: false,
+        path: `${tmp.fileSync().name}/not/a/directory`
+      }));
+      db.once('error', _.noop);
+      db.take({ type: 'ip', key: '44.4.4.7' }, (err) => {
+        assert.instanceOf(err, LimitDB.errors.DatabaseOpenError);
+        assert.ok(err.cause);
+        assert.equal(db.state, 'error');
+        done();
+      });
+    });
+
+    it('should fail the operations issued after close', (done) => {
+      const db = new LimitDB(getConfig());
+      db.close(_.noop);
+      db.take({ type: 'ip', key: '44.4.4.8' }, (err) => {
+        assert.instanceOf(err, LimitDB.errors.DatabaseClosedError);
+        db.get({ type: 'ip', key: '44.4.4.8' }, (err) => {
+          assert.instanceOf(err, LimitDB.errors.DatabaseClosedError);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('promises', () => {
+    var db;
+
+    before(function() {
+      return LimitDB.open(getConfig()).then(instance => db = instance);
+    });
+
+    it('should resolve open once the database is ready', () => {
+      assert.equal(db.state, 'ready');
+      assert.ok(db.isOpen());
+    });
+
+    it('should reject open when the configuration is invalid', () => {
+      return LimitDB.open({}).then(() => {
+        throw new Error('should not resolve');
+      }, (err) => {
+        assert.match(err.message, /path is required/);
+      });
+    });
+
+    it('should return a promise from take when callback is omitted', () => {
+      return db.take({ type: 'ip', key: '33.3.3.3' }).then(result => {
+        assert.ok(result.conformant);
+        assert.equal(result.remaining, 9);
+        assert.equal(result.limit, 10);
+      });
+    });
+
+    it('should reject the promise on errors', () => {
+      return db.take({ type: 'cc', key: '33.3.3.3' }).then(() => {
+        throw new Error('should not resolve');
+      }, (err) => {
+        assert.match(err.message, /undefined bucket type cc/);
+      });
+    });
+
+    it('should not reject unhandled when the promise is ignored', (done) => {
+      const rejections = [];
+      const onRejection = reason => rejections.push(reason);
+      process.on('unhandledRejection', onRejection);
+      db.put({ type: 'cc', key: '33.3.3.3' });
+      setTimeout(() => {
+        process.removeListener('unhandledRejection', onRejection);
+        assert.lengthOf(rejections, 0);
+        done();
+      }, 20);
+    });
+
+    it('should return a promise from put, get, wait and status', () => {
+      const bucketKey = { type: 'ip', key: '33.3.3.4' };
+      return db.take(Object.assign({ count: 5 }, bucketKey))
+        .then(() => db.get(bucketKey))
+        .then(result => assert.equal(result.remaining, 5))
+        .then(() => db.put(bucketKey))
+        .then(result => assert.equal(result.remaining, 10))
+        .then(() => db.wait(bucketKey))
+        .then(result => {
+          assert.ok(result.conformant);
+          assert.equal(result.remaining, 9);
+        })
+        .then(() => db.status({ type: 'ip', prefix: '33.3.3.4' }))
+        .then(result => assert.equal(result.items.length, 1));
+    });
+
+    it('should return a promise from close', () => {
+      return db.close().then(() => assert.notOk(db.isOpen()));
+    });
+  });
+
+  describe('algorithm changes', () => {
+    const switchTypes = {
+      switch: { per_minute: 2 }
+    };
+    var db;
+
+    before(function(done) {
+      db = new LimitDB(Object.assign(getConfig(), { types: Object.assign({}, switchTypes, types) }));
+      db.once('ready', done);
+    });
+
+    const exhaust = (bucketKey, expected) => {
+      return db.take(Object.assign({ count: expected }, bucketKey))
+        .then(result => {
+          assert.ok(result.conformant);
+          assert.equal(result.remaining, 0);
+          return db.take(bucketKey);
+        })
+        .then(result => {
+          assert.notOk(result.conformant);
+          assert.equal(result.remaining, 0);
+          assert.ok(isFinite(result.reset));
+        });
+    };
+
+    it('should start with a new bucket when the algorithm of the type changes', () => {
+      const bucketKey = { type: 'switch', key: 'a' };
+      return exhaust(bucketKey, 2)
+        .then(() => db.loadTypes(Object.assign({}, types, {
+          switch: { algorithm: 'sliding_window_log', per_minute: 3 }
+        })))
+        .then(() => db.get(bucketKey))
+        .then(result => {
+          assert.equal(result.remaining, 3);
+          assert.ok(isFinite(result.reset));
+          return exhaust(bucketKey, 3);
+        })
+        .then(() => db.status({ type: 'switch', prefix: 'a' }))
+        .then(result => assert.equal(result.items[0].remaining, 0))
+        .then(() => db.loadTypes(Object.assign({}, types, switchTypes)))
+        .then(() => exhaust(bucketKey, 2));
+    });
+
+    it('should start with a new bucket when the key moves to an override with another algorithm', () => {
+      const bucketKey = { type: 'switch', key: 'b' };
+      return exhaust(bucketKey, 2)
+        .then(() => db.setOverride(Object.assign({ algorithm: 'sliding_window_counter', per_minute: 4 }, bucketKey)))
+        .then(() => exhaust(bucketKey, 4))
+        .then(() => db.put(Object.assign({ count: 1 }, bucketKey)))
+        .then(result => assert.equal(result.remaining, 1))
+        .then(() => db.removeOverride(bucketKey))
+        .then(() => db.get(bucketKey))
+        .then(result => {
+          assert.equal(result.remaining, 2);
+          return exhaust(bucketKey, 2);
+        });
+    });
+  });
+
   describe('loadTypes when the database is open', () => {
     var db;
 
@@ -637,5 +2996,30 @@ describeForEachConfig((getConfig) => {
     it('should not fail', (done) => {
       db.take({ type: 'cc', key: '123' }, done);
     });
+
+    it('should fail with unknown algorithms', () => {
+      assert.throws(() => db.loadTypes({
+        ip: { algorithm: 'foo', per_second: 1 }
+      }), /unknown algorithm foo/);
+    });
+
+    it('should fail with unsupported timezones', () => {
+      assert.throws(() => db.loadTypes({
+        ip: { per_calendar_day: 1, timezone: 'Foo/Bar' }
+      }), LimitDB.errors.InvalidTypesError, /types\.ip\.timezone unsupported timezone Foo\/Bar/);
+    });
+
+    it('should fail with invalid types and keep the previous types', () => {
+      assert.throws(() => db.loadTypes({
+        ip: { per_secnd: 1 }
+      }), /types\.ip\.per_secnd is not a valid option/);
+      assert.equal(db._types.ip.size, 10);
+    });
+
+    it('should fail when a sliding window does not define a rate', () => {
+      assert.throws(() => db.loadTypes({
+        ip: { algorithm: 'sliding_window_log', size: 1 }
+      }), /requires a rate/);
+    });
   });
 });
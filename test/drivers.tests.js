@@ -0,0 +1,155 @@
+const LimitDB  = require('../');
+const drivers  = require('../lib/drivers');
+const memory   = require('../lib/drivers/memory');
+const leveldb  = require('../lib/drivers/leveldb');
+const Module   = require('module');
+const assert   = require('chai').assert;
+
+describe('drivers', () => {
+  describe('resolve', () => {
+    it('should return the driver by name', () => {
+      assert.strictEqual(drivers.resolve('memory'), memory);
+    });
+
+    it('should accept a driver object', () => {
+      const driver = { open: memory.open };
+      assert.strictEqual(drivers.resolve(driver), driver);
+    });
+
+    it('should fail with unknown drivers', () => {
+      assert.throws(() => drivers.resolve('redis'), /unknown driver redis/);
+      assert.throws(() => new LimitDB({ driver: 'redis' }), /unknown driver redis/);
+    });
+
+    it('should open LimitDB with a custom driver', (done) => {
+      const db = new LimitDB({
+        driver: { open: memory.open },
+        types: { ip: { per_second: 5 } }
+      });
+      db.take({ type: 'ip', key: '1.1.1.1' }, (err, result) => {
+        if (err) { return done(err); }
+        assert.equal(result.remaining, 4);
+        done();
+      });
+    });
+  });
+
+  describe('memory', () => {
+    var store, space;
+
+    before((done) => {
+      memory.open({ checkFrequency: 50 }, (err, s) => {
+        if (err) { return done(err); }
+        store = s;
+        space = store.sublevel('test');
+        done();
+      });
+    });
+
+    after((done) => store.close(done));
+
+    it('should fail with NotFoundError when the key is missing', (done) => {
+      space.get('missing', (err) => {
+        assert.equal(err.name, 'NotFoundError');
+        assert.ok(err.notFound);
+        done();
+      });
+    });
+
+    it('should put, get and del values', (done) => {
+      space.put('a', { content: 1 }, {}, (err) => {
+        if (err) { return done(err); }
+        space.get('a', (err, value) => {
+          if (err) { return done(err); }
+          assert.deepEqual(value, { content: 1 });
+          space.del('a', (err) => {
+            if (err) { return done(err); }
+            space.get('a', (err) => {
+              assert.equal(err.name, 'NotFoundError');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should isolate sublevels', (done) => {
+      space.put('b', { content: 1 }, {}, (err) => {
+        if (err) { return done(err); }
+        store.sublevel('other').get('b', (err) => {
+          assert.equal(err.name, 'NotFoundError');
+          done();
+        });
+      });
+    });
+
+    it('should remove elements after the ttl', (done) => {
+      space.put('c', { content: 1 }, { ttl: 50 }, (err) => {
+        if (err) { return done(err); }
+        setTimeout(() => {
+          space.get('c', (err) => {
+            assert.equal(err.name, 'NotFoundError');
+            done();
+          });
+        }, 150);
+      });
+    });
+
+    it('should apply batches and iterate ranges in order', (done) => {
+      const ranges = store.sublevel('ranges');
+      ranges.batch([
+        { type: 'put', key: 'k3', value: 3 },
+        { type: 'put', key: 'k1', value: 1 },
+        { type: 'put', key: 'k2', value: 2 },
+        { type: 'put', key: 'z1', value: 4 },
+        { type: 'del', key: 'k2' }
+      ], {}, (err) => {
+        if (err) { return done(err); }
+        const items = [];
+        ranges.createReadStream({ gte: 'k', lte: 'k~' })
+          .on('data', data => items.push(data))
+          .on('end', () => {
+            assert.deepEqual(items, [
+              { key: 'k1', value: 1 },
+              { key: 'k3', value: 3 }
+            ]);
+            done();
+          });
+      });
+    });
+
+    it('should fail after close', (done) => {
+      memory.open({ checkFrequency: 50 }, (err, s) => {
+        if (err) { return done(err); }
+        s.close(() => {
+          assert.ok(s.isClosed());
+          s.sublevel('test').get('a', (err) => {
+            assert.match(err.message, /not open/);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('leveldb', () => {
+    const resolveFilename = Module._resolveFilename;
+
+    afterEach(() => {
+      Module._resolveFilename = resolveFilename;
+    });
+
+    it('should fail with a clear error when leveldown is not installed', () => {
+      Module._resolveFilename = function(request) {
+        if (request === 'leveldown') {
+          const err = new Error(`Cannot find module '${request}'`);
+          err.code = 'MODULE_NOT_FOUND';
+          throw err;
+        }
+        return resolveFilename.apply(this, arguments);
+      };
+      assert.throws(() => leveldb.validate({ inMemory: true }), /the leveldb driver requires leveldown/);
+      assert.throws(() => new LimitDB({ inMemory: true }), /the leveldb driver requires leveldown/);
+    });
+  });
+});
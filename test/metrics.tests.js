@@ -0,0 +1,66 @@
+const Metrics = require('../lib/metrics');
+const assert  = require('chai').assert;
+
+describe('metrics', () => {
+  it('should count the operations by type', () => {
+    const metrics = new Metrics();
+    metrics.take('ip', undefined, true);
+    metrics.take('ip', '127.0.0.1', false);
+    metrics.put('ip');
+    metrics.wait('ip');
+    metrics.waitDelay('ip', undefined, 20);
+
+    const stats = metrics.getStats().types.ip;
+
+    assert.equal(stats.takes, 2);
+    assert.equal(stats.conformant, 1);
+    assert.equal(stats.nonConformant, 1);
+    assert.equal(stats.puts, 1);
+    assert.equal(stats.waits, 1);
+    assert.deepEqual(stats.waitDelay.buckets, {
+      10: 0, 50: 1, 100: 1, 500: 1, 1000: 1, 5000: 1, 10000: 1, 30000: 1, 60000: 1, '+Inf': 1
+    });
+    assert.notProperty(stats, 'overrides');
+  });
+
+  it('should count the operations by override with byOverride', () => {
+    const metrics = new Metrics({ byOverride: true });
+    metrics.take('ip', undefined, true);
+    metrics.take('ip', '127.0.0.1', false);
+
+    const stats = metrics.getStats().types.ip;
+
+    assert.equal(stats.takes, 2);
+    assert.deepEqual(Object.keys(stats.overrides), ['127.0.0.1']);
+    assert.equal(stats.overrides['127.0.0.1'].nonConformant, 1);
+  });
+
+  it('should report the gms queue depth and coalesced operations', () => {
+    const metrics = new Metrics({ queueDepth: () => ({ ip: 3 }) });
+    const hooks = metrics.gmsHooks('ip');
+    hooks.coalesced(2);
+    hooks.latency('get', 0.7);
+
+    const stats = metrics.getStats().types.ip;
+
+    assert.equal(stats.queueDepth, 3);
+    assert.equal(stats.coalesced, 2);
+    assert.equal(stats.storageLatency.get.count, 1);
+    assert.equal(stats.storageLatency.get.buckets['0.5'], 0);
+    assert.equal(stats.storageLatency.get.buckets['1'], 1);
+  });
+
+  it('should export the metrics in the prometheus text format', () => {
+    const metrics = new Metrics({ byOverride: true });
+    metrics.take('ip', 'local "lan"', true);
+    metrics.repair();
+
+    const text = metrics.toPrometheus();
+
+    assert.include(text, '# TYPE limitdb_takes_total counter\n');
+    assert.include(text, 'limitdb_takes_total{type="ip",override="local \\"lan\\"",conformant="true"} 1\n');
+    assert.include(text, 'limitdb_wait_delay_milliseconds_bucket{type="ip",override="local \\"lan\\"",le="10"} 0\n');
+    assert.include(text, 'limitdb_storage_latency_milliseconds_count{type="ip",operation="get"} 0\n');
+    assert.include(text, 'limitdb_repairs_total 1\n');
+  });
+});
@@ -0,0 +1,271 @@
+const http       = require('http');
+const LimitDB    = require('../');
+const middleware = require('../middleware');
+const assert     = require('chai').assert;
+
+function request(port, headers, callback) {
+  http.get({ port, path: '/', headers }, (res) => {
+    var data = '';
+    res.on('data', chunk => data += chunk);
+    res.on('end', () => callback(null, res, data));
+  }).once('error', callback);
+}
+
+describe('middleware', () => {
+  var db;
+
+  before((done) => {
+    db = new LimitDB({
+      driver: 'memory',
+      types: {
+        ip: { size: 2, per_minute: 1 },
+        user: { size: 5, per_minute: 1 },
+        tenant: { size: 1, per_minute: 1 },
+        free: { unlimited: true }
+      }
+    });
+    db.once('ready', done);
+  });
+
+  after((done) => {
+    db.close(done);
+  });
+
+  describe('express', () => {
+    var httpServer, port;
+
+    const listen = (options, done) => {
+      const limit = middleware(db, options);
+      httpServer = http.createServer((req, res) => {
+        limit(req, res, (err) => {
+          res.statusCode = err ? 500 : 200;
+          res.end(err ? err.message : 'ok');
+        });
+      }).listen(0, () => {
+        port = httpServer.address().port;
+        done();
+      });
+    };
+
+    afterEach((done) => {
+      httpServer.close(done);
+    });
+
+    it('should set the headers and reject with 429', (done) => {
+      listen({ type: 'ip', key: 'header:x-client' }, () => {
+        const headers = { 'x-client': 'a' };
+        request(port, headers, (err, res) => {
+          if (err) { return done(err); }
+          assert.equal(res.statusCode, 200);
+          assert.equal(res.headers['x-ratelimit-limit'], '2');
+          assert.equal(res.headers['x-ratelimit-remaining'], '1');
+          assert.closeTo(parseInt(res.headers['x-ratelimit-reset'], 10), Date.now() / 1000 + 60, 2);
+          request(port, headers, (err, res) => {
+            if (err) { return done(err); }
+            assert.equal(res.statusCode, 200);
+            request(port, headers, (err, res, body) => {
+              if (err) { return done(err); }
+              assert.equal(res.statusCode, 429);
+              assert.equal(res.headers['x-ratelimit-remaining'], '0');
+              assert.closeTo(parseInt(res.headers['retry-after'], 10), 120, 2);
+              assert.equal(JSON.parse(body).error, 'too_many_requests');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should leave out the headers of unlimited types without size', (done) => {
+      listen({ type: 'free', key: 'header:x-client' }, () => {
+        request(port, { 'x-client': 'a' }, (err, res) => {
+          if (err) { return done(err); }
+          assert.equal(res.statusCode, 200);
+          assert.notProperty(res.headers, 'x-ratelimit-limit');
+          assert.notProperty(res.headers, 'x-ratelimit-remaining');
+          done();
+        });
+      });
+    });
+
+    it('should take the cost of the request', (done) => {
+      listen({ type: 'user', key: 'header:x-user', count: req => parseInt(req.headers['x-cost'], 10) }, () => {
+        request(port, { 'x-user': 'b', 'x-cost': '4' }, (err, res) => {
+          if (err) { return done(err); }
+          assert.equal(res.headers['x-ratelimit-remaining'], '1');
+          request(port, { 'x-user': 'b', 'x-cost': '2' }, (err, res) => {
+            if (err) { return done(err); }
+            assert.equal(res.statusCode, 429);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should take from several types atomically', (done) => {
+      listen({
+        limits: [
+          { type: 'user', key: 'header:x-user' },
+          { type: 'tenant', key: 'header:x-tenant' }
+        ]
+      }, () => {
+        request(port, { 'x-user': 'c', 'x-tenant': 'acme' }, (err, res) => {
+          if (err) { return done(err); }
+          assert.equal(res.statusCode, 200);
+          assert.equal(res.headers['x-ratelimit-limit'], '1');
+          request(port, { 'x-user': 'c', 'x-tenant': 'acme' }, (err, res) => {
+            if (err) { return done(err); }
+            assert.equal(res.statusCode, 429);
+            db.get({ type: 'user', key: 'c' }, (err, result) => {
+              if (err) { return done(err); }
+              assert.equal(result.remaining, 4);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should skip requests', (done) => {
+      listen({ type: 'tenant', key: 'header:x-tenant', skip: req => req.headers['x-internal'] }, () => {
+        request(port, { 'x-tenant': 'skipped', 'x-internal': '1' }, (err, res) => {
+          if (err) { return done(err); }
+          assert.equal(res.statusCode, 200);
+          assert.isUndefined(res.headers['x-ratelimit-limit']);
+          done();
+        });
+      });
+    });
+
+    it('should not take nor reject in dry run mode', (done) => {
+      listen({ type: 'tenant', key: 'header:x-tenant', dryRun: true }, () => {
+        request(port, { 'x-tenant': 'dry' }, (err, res) => {
+          if (err) { return done(err); }
+          assert.equal(res.statusCode, 200);
+          assert.equal(res.headers['x-ratelimit-remaining'], '0');
+          request(port, { 'x-tenant': 'dry' }, (err, res) => {
+            if (err) { return done(err); }
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.headers['x-ratelimit-remaining'], '0');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should call the rejection handler', (done) => {
+      listen({
+        type: 'tenant',
+        key: 'header:x-tenant',
+        onRejected: (req, res, next, results) => {
+          res.statusCode = 503;
+          res.end(`${results[0].limit}`);
+        }
+      }, () => {
+        request(port, { 'x-tenant': 'rejected' }, (err) => {
+          if (err) { return done(err); }
+          request(port, { 'x-tenant': 'rejected' }, (err, res, body) => {
+            if (err) { return done(err); }
+            assert.equal(res.statusCode, 503);
+            assert.equal(body, '1');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not limit the requests without key', (done) => {
+      listen({ type: 'tenant', key: 'header:x-tenant' }, () => {
+        request(port, {}, (err, res) => {
+          if (err) { return done(err); }
+          assert.equal(res.statusCode, 200);
+          assert.isUndefined(res.headers['x-ratelimit-limit']);
+          done();
+        });
+      });
+    });
+
+    it('should apply only the limits with a key', (done) => {
+      listen({
+        limits: [
+          { type: 'tenant', key: 'header:x-tenant' },
+          { type: 'user', key: 'header:x-user' }
+        ]
+      }, () => {
+        request(port, { 'x-user': 'd' }, (err, res) => {
+          if (err) { return done(err); }
+          assert.equal(res.statusCode, 200);
+          assert.equal(res.headers['x-ratelimit-limit'], '5');
+          assert.equal(res.headers['x-ratelimit-remaining'], '4');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('koa', () => {
+    it('should set the headers and reject with 429', () => {
+      const limit = middleware.koa(db, { type: 'tenant', key: 'ip' });
+      const ctx = () => ({
+        ip: '10.0.0.1',
+        headers: {},
+        set(name, value) { this.headers[name] = value; }
+      });
+      const first = ctx();
+      var called = 0;
+      return limit(first, () => called++).then(() => {
+        assert.equal(called, 1);
+        assert.equal(first.headers['X-RateLimit-Remaining'], '0');
+        const second = ctx();
+        return limit(second, () => called++).then(() => {
+          assert.equal(called, 1);
+          assert.equal(second.status, 429);
+          assert.equal(second.body.error, 'too_many_requests');
+          assert.ok(second.headers['Retry-After']);
+        });
+      });
+    });
+  });
+
+  describe('user key', () => {
+    it('should accept the id 0', (done) => {
+      const limit = middleware.fastify(db, { type: 'user', key: 'user' });
+      const reply = {
+        headers: {},
+        header(name, value) { this.headers[name] = value; return this; }
+      };
+      limit({ user: { id: 0 } }, reply, (err) => {
+        if (err) { return done(err); }
+        assert.equal(reply.headers['X-RateLimit-Remaining'], 4);
+        db.get({ type: 'user', key: '0' }, (err, result) => {
+          if (err) { return done(err); }
+          assert.equal(result.remaining, 4);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('fastify', () => {
+    it('should set the headers and reject with 429', (done) => {
+      const limit = middleware.fastify(db, { type: 'tenant', key: 'user' });
+      const reply = () => ({
+        headers: {},
+        header(name, value) { this.headers[name] = value; return this; },
+        code(statusCode) { this.statusCode = statusCode; return this; },
+        send(body) { this.body = body; return this; }
+      });
+      const first = reply();
+      limit({ user: { id: 'john' } }, first, (err) => {
+        if (err) { return done(err); }
+        assert.equal(first.headers['X-RateLimit-Remaining'], 0);
+        const second = reply();
+        limit({ user: { id: 'john' } }, second, () => done(new Error('should not be called')));
+        setTimeout(() => {
+          assert.equal(second.statusCode, 429);
+          done();
+        }, 20);
+      });
+    });
+  });
+});
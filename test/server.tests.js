@@ -0,0 +1,231 @@
+const http     = require('http');
+const LimitDB  = require('../');
+const server   = require('../server');
+const assert   = require('chai').assert;
+
+function request(port, method, path, body, callback) {
+  const req = http.request({ port, method, path, headers: { 'Content-Type': 'application/json' } }, (res) => {
+    var data = '';
+    res.on('data', chunk => data += chunk);
+    res.on('end', () => callback(null, res, JSON.parse(data)));
+  });
+  req.once('error', callback);
+  req.end(body ? JSON.stringify(body) : undefined);
+}
+
+describe('server', () => {
+  var db, httpServer, port;
+
+  before((done) => {
+    db = new LimitDB({
+      driver: 'memory',
+      types: {
+        ip: { size: 10, per_second: 5 },
+        gcra: { algorithm: 'gcra', size: 1, per_second: 1 },
+        guarded: { size: 10, per_second: 5, deny: ['203.0.113.0/24'] },
+        free: { unlimited: true }
+      }
+    });
+    httpServer = server.createServer(db).listen(0, () => {
+      port = httpServer.address().port;
+      db.once('ready', done);
+    });
+  });
+
+  after((done) => {
+    httpServer.close(() => db.close(done));
+  });
+
+  it('should take from the bucket', (done) => {
+    request(port, 'POST', '/types/ip/keys/1.1.1.1/take', { count: 3 }, (err, res, body) => {
+      if (err) { return done(err); }
+      assert.equal(res.statusCode, 200);
+      assert.ok(body.conformant);
+      assert.equal(body.remaining, 7);
+      assert.equal(res.headers['ratelimit-limit'], '10');
+      assert.equal(res.headers['ratelimit-remaining'], '7');
+      assert.closeTo(parseInt(res.headers['ratelimit-reset'], 10), 1, 1);
+      done();
+    });
+  });
+
+  it('should take from unlimited types without size', (done) => {
+    request(port, 'POST', '/types/free/keys/1.1.1.1/take', null, (err, res, body) => {
+      if (err) { return done(err); }
+      assert.equal(res.statusCode, 200);
+      assert.ok(body.conformant);
+      assert.notProperty(res.headers, 'ratelimit-limit');
+      done();
+    });
+  });
+
+  it('should respond with 429 when the take is not conformant', (done) => {
+    request(port, 'POST', '/types/gcra/keys/1.1.1.1/take', null, (err, res) => {
+      if (err) { return done(err); }
+      assert.equal(res.statusCode, 200);
+      request(port, 'POST', '/types/gcra/keys/1.1.1.1/take', null, (err, res, body) => {
+        if (err) { return done(err); }
+        assert.equal(res.statusCode, 429);
+        assert.notOk(body.conformant);
+        assert.equal(res.headers['retry-after'], '1');
+        done();
+      });
+    });
+  });
+
+  it('should put, get and wait', (done) => {
+    request(port, 'POST', '/types/ip/keys/1.1.1.2/take', { count: 10 }, (err) => {
+      if (err) { return done(err); }
+      request(port, 'POST', '/types/ip/keys/1.1.1.2/put', { count: 2 }, (err, res, body) => {
+        if (err) { return done(err); }
+        assert.equal(res.statusCode, 200);
+        assert.equal(body.remaining, 2);
+        request(port, 'POST', '/types/ip/keys/1.1.1.2/wait', { count: 3 }, (err, res, body) => {
+          if (err) { return done(err); }
+          assert.equal(res.statusCode, 200);
+          assert.ok(body.delayed);
+          request(port, 'GET', '/types/ip/keys/1.1.1.2', null, (err, res, body) => {
+            if (err) { return done(err); }
+            assert.equal(res.statusCode, 200);
+            assert.equal(body.limit, 10);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should respond with 429 when the wait times out', (done) => {
+    request(port, 'POST', '/types/ip/keys/1.1.1.3/take', { count: 10 }, (err) => {
+      if (err) { return done(err); }
+      request(port, 'POST', '/types/ip/keys/1.1.1.3/wait', { count: 10, timeout: 10 }, (err, res, body) => {
+        if (err) { return done(err); }
+        assert.equal(res.statusCode, 429);
+        assert.equal(body.error, 'ERR_WAIT_TIMEOUT');
+        done();
+      });
+    });
+  });
+
+  it('should respond with 403 when the wait is on a denied key', (done) => {
+    request(port, 'POST', '/types/guarded/keys/203.0.113.1/wait', null, (err, res, body) => {
+      if (err) { return done(err); }
+      assert.equal(res.statusCode, 403);
+      assert.equal(body.error, 'ERR_KEY_DENIED');
+      done();
+    });
+  });
+
+  it('should return the status of the type', (done) => {
+    request(port, 'GET', '/types/ip?prefix=1.1.1.1', null, (err, res, body) => {
+      if (err) { return done(err); }
+      assert.equal(res.statusCode, 200);
+      assert.equal(body.items[0].key, '1.1.1.1');
+      done();
+    });
+  });
+
+  it('should return the status in pages', (done) => {
+    request(port, 'GET', '/types/ip?prefix=1.1.1.&limit=1', null, (err, res, body) => {
+      if (err) { return done(err); }
+      assert.equal(res.statusCode, 200);
+      assert.lengthOf(body.items, 1);
+      assert.isString(body.nextCursor);
+      request(port, 'GET', `/types/ip?prefix=1.1.1.&limit=1&cursor=${encodeURIComponent(body.nextCursor)}`, null, (err, res, next) => {
+        if (err) { return done(err); }
+        assert.equal(res.statusCode, 200);
+        assert.notEqual(next.items[0].key, body.items[0].key);
+        done();
+      });
+    });
+  });
+
+  it('should respond with 400 for invalid limits', (done) => {
+    request(port, 'GET', '/types/ip?prefix=1.1.1.&limit=foo', null, (err, res, body) => {
+      if (err) { return done(err); }
+      assert.equal(res.statusCode, 400);
+      assert.match(body.message, /limit must be a positive integer/);
+      done();
+    });
+  });
+
+  it('should respond with 400 for invalid counts', (done) => {
+    request(port, 'POST', '/types/ip/keys/1.1.1.2/take', { count: -1 }, (err, res, body) => {
+      if (err) { return done(err); }
+      assert.equal(res.statusCode, 400);
+      assert.match(body.message, /count must be a positive integer/);
+      request(port, 'POST', '/types/ip/keys/1.1.1.2/put', { count: '5' }, (err, res) => {
+        if (err) { return done(err); }
+        assert.equal(res.statusCode, 400);
+        done();
+      });
+    });
+  });
+
+  it('should respond with 404 for undefined types', (done) => {
+    request(port, 'POST', '/types/cc/keys/1/take', null, (err, res, body) => {
+      if (err) { return done(err); }
+      assert.equal(res.statusCode, 404);
+      assert.match(body.message, /undefined bucket type cc/);
+      done();
+    });
+  });
+
+  it('should respond with 400 for invalid bodies', (done) => {
+    const req = http.request({ port, method: 'POST', path: '/types/ip/keys/1/take' }, (res) => {
+      assert.equal(res.statusCode, 400);
+      res.resume();
+      done();
+    });
+    req.end('{');
+  });
+
+  it('should respond with 405 for other methods', (done) => {
+    request(port, 'GET', '/types/ip/keys/1/take', null, (err, res) => {
+      if (err) { return done(err); }
+      assert.equal(res.statusCode, 405);
+      assert.equal(res.headers.allow, 'POST');
+      done();
+    });
+  });
+
+  it('should report health and readiness', (done) => {
+    request(port, 'GET', '/health', null, (err, res, body) => {
+      if (err) { return done(err); }
+      assert.equal(res.statusCode, 200);
+      assert.equal(body.state, 'ready');
+      request(port, 'GET', '/ready', null, (err, res, body) => {
+        if (err) { return done(err); }
+        assert.equal(res.statusCode, 200);
+        assert.ok(body.ready);
+        done();
+      });
+    });
+  });
+
+  it('should export the metrics', (done) => {
+    http.get({ port, path: '/metrics' }, (res) => {
+      var data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        assert.equal(res.statusCode, 200);
+        assert.match(res.headers['content-type'], /^text\/plain/);
+        assert.match(data, /limitdb_takes_total\{type="ip",conformant="true"\} \d+/);
+        done();
+      });
+    }).once('error', done);
+  });
+
+  it('should not be ready while the database is opening', (done) => {
+    const opening = new LimitDB({ driver: 'memory', types: {} });
+    const handler = server.createHandler(opening);
+    const res = {
+      writeHead: (statusCode) => assert.equal(statusCode, 503),
+      end: (json) => {
+        assert.deepEqual(JSON.parse(json), { ready: false, state: 'opening' });
+        opening.once('ready', () => opening.close(done));
+      }
+    };
+    handler({ method: 'GET', url: '/ready' }, res);
+  });
+});
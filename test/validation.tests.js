@@ -0,0 +1,152 @@
+const validation = require('../lib/validation');
+const assert     = require('chai').assert;
+
+describe('validation', () => {
+  it('should accept valid types', () => {
+    assert.deepEqual(validation.validateTypes({
+      ip: {
+        size: 10,
+        per_second: 5,
+        overrides: {
+          '127.0.0.1': { per_second: 100 },
+          'local-lan': { match: /192\.168\./, per_second: 50, until: new Date() },
+          '0.0.0.0': { size: 100, unlimited: true }
+        }
+      },
+      fixed: { size: 10, interval: 1000, per_interval: 1 },
+      monthly: { per_calendar_month: 10, timezone: 'America/New_York' },
+      exports: { algorithm: 'concurrency', size: 2, lease_ttl: 1000 }
+    }), []);
+  });
+
+  it('should reject unknown options', () => {
+    assert.deepEqual(validation.validateTypes({
+      ip: { per_secnd: 5, overrides: { foo: { sise: 1 } } }
+    }), [
+      'types.ip.per_secnd is not a valid option',
+      'types.ip.overrides.foo.sise is not a valid option'
+    ]);
+  });
+
+  it('should reject non positive or non numeric values', () => {
+    assert.deepEqual(validation.validateTypes({
+      ip: { per_second: 'ten', size: -1 },
+      user: { per_minute: 1, size: 0 }
+    }), [
+      'types.ip.per_second must be a positive number',
+      'types.ip.size must be a non negative number',
+      'types.user.size must be a positive number when the type has a rate'
+    ]);
+  });
+
+  it('should reject conflicting rates', () => {
+    assert.deepEqual(validation.validateTypes({
+      ip: { per_second: 1, per_minute: 10 },
+      user: { interval: 1000, per_minute: 10 },
+      api: { per_interval: 10 }
+    }), [
+      'types.ip declares conflicting rates: per_second, per_minute',
+      'types.user declares conflicting rates: interval, per_minute',
+      'types.api.per_interval requires interval'
+    ]);
+  });
+
+  it('should reject malformed overrides', () => {
+    assert.deepEqual(validation.validateTypes({
+      ip: { per_second: 1, overrides: 'foo' },
+      user: { per_second: 1, overrides: { foo: 1, bar: { match: '(', until: 'foo' } } }
+    }), [
+      'types.ip.overrides must be an object',
+      'types.user.overrides.foo must be an object',
+      'types.user.overrides.bar.match must be a regular expression',
+      'types.user.overrides.bar.until must be a date'
+    ]);
+  });
+
+  it('should validate the events options', () => {
+    assert.deepEqual(validation.validateTypes({
+      ip: { per_second: 1, events: { sampleRate: 0.1, debounce: 1000 } },
+      user: { per_second: 1, events: { sampleRate: 2, debounce: 0, foo: 1 } },
+      api: { per_second: 1, events: true, overrides: { foo: { events: {} } } }
+    }), [
+      'types.user.events.foo is not a valid option',
+      'types.user.events.sampleRate must be a number between 0 and 1',
+      'types.user.events.debounce must be a positive number',
+      'types.api.events must be an object',
+      'types.api.overrides.foo.events is not a valid option'
+    ]);
+  });
+
+  it('should validate the penalty options', () => {
+    assert.deepEqual(validation.validateTypes({
+      ip: { per_second: 1, penalty: { violations: 5, window: 60000, duration: 60000, backoff: 2, maxDuration: 3600000 } },
+      user: { per_second: 1, penalty: { violations: 1.5, duration: 0, backoff: 0.5, foo: 1 } },
+      api: { per_second: 1, penalty: true, overrides: { foo: { penalty: {} } } }
+    }), [
+      'types.user.penalty.foo is not a valid option',
+      'types.user.penalty.violations must be a positive integer',
+      'types.user.penalty.window must be a positive number',
+      'types.user.penalty.duration must be a positive number',
+      'types.user.penalty.backoff must be a number greater than or equal to 1',
+      'types.api.penalty must be an object',
+      'types.api.overrides.foo.penalty is not a valid option'
+    ]);
+  });
+
+  it('should validate the allow and deny lists', () => {
+    assert.deepEqual(validation.validateTypes({
+      ip: { per_second: 1, allow: ['10.0.0.0/8', /^internal-/, 'admin'], deny: ['2001:db8::/32'] },
+      user: { per_second: 1, allow: 'admin', deny: [1, '10.0.0.0/33', 'a/b'] },
+      api: { per_second: 1, overrides: { foo: { deny: [] } } }
+    }), [
+      'types.user.allow must be an array',
+      'types.user.deny[0] must be a string or a regular expression',
+      'types.user.deny[1] is not a valid CIDR range',
+      'types.api.overrides.foo.deny is not a valid option'
+    ]);
+  });
+
+  it('should validate the parents', () => {
+    assert.deepEqual(validation.validateTypes({
+      tenant: { per_second: 10 },
+      user: { per_second: 1, parent: { type: 'tenant', pattern: 'user:{tenant}:{id}', key: 'tenant:{tenant}' } },
+      session: { per_second: 1, parent: { type: 'user', key: key => key } },
+      api: { per_second: 1, parent: { type: 'foo', key: 'x:{y}', bar: 1 } },
+      a: { per_second: 1, parent: { type: 'b', key: 'b' } },
+      b: { per_second: 1, parent: { type: 'a', key: 'a' }, overrides: { foo: { parent: {} } } }
+    }), [
+      'types.api.parent.bar is not a valid option',
+      'types.api.parent.key uses {y} which is not in the pattern',
+      'types.b.overrides.foo.parent is not a valid option',
+      'types.api.parent.type undefined bucket type foo',
+      'types.a.parent forms a cycle: a -> b -> a',
+      'types.b.parent forms a cycle: b -> a -> b'
+    ]);
+  });
+
+  it('should validate the algorithms', () => {
+    assert.deepEqual(validation.validateTypes({
+      ip: { algorithm: 'foo' },
+      user: { algorithm: 'gcra', size: 1 },
+      api: { algorithm: 'calendar', size: 1 },
+      daily: { per_calendar_day: 1, timezone: 'Foo/Bar' }
+    }), [
+      'types.ip.algorithm unknown algorithm foo',
+      'types.user the gcra algorithm requires a rate',
+      'types.api the calendar algorithm requires a calendar period',
+      'types.daily.timezone unsupported timezone Foo/Bar'
+    ]);
+  });
+
+  it('should validate the overrides with the algorithm of the type', () => {
+    assert.deepEqual(validation.validateOverride({ size: 1 }, 'overrides.foo', 'gcra'), [
+      'overrides.foo the gcra algorithm requires a rate'
+    ]);
+  });
+
+  it('should let the overrides of calendar types inherit the period', () => {
+    assert.deepEqual(validation.validateTypes({
+      daily: { per_calendar_day: 1, overrides: { vip: { size: 5 } } }
+    }), []);
+  });
+});